@@ -0,0 +1,65 @@
+// Habitica accounts for Habitica MCP Server
+// Named profiles are read from a JSON file (HABITICA_ACCOUNTS_FILE, by
+// default ~/.habitica-mcp/accounts.json). The HABITICA_USER_ID /
+// HABITICA_API_TOKEN pair, when set, is added as the "default" account.
+import { readFileSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import { z } from 'zod';
+
+export const ENV_ACCOUNT = 'default';
+
+const accountSchema = z.object({
+  userId: z.string().min(1),
+  apiToken: z.string().min(1),
+});
+
+const accountsFileSchema = z.object({
+  default: z.string().optional(),
+  accounts: z.record(z.string().regex(/^[\w.-]+$/, 'Account names may only contain letters, digits, "_", "." and "-"'), accountSchema),
+});
+
+export function accountsFilePath(env = process.env) {
+  return env.HABITICA_ACCOUNTS_FILE || join(homedir(), '.habitica-mcp', 'accounts.json');
+}
+
+function readAccountsFile(filePath, required) {
+  let text;
+  try {
+    text = readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) {
+      return { accounts: {} };
+    }
+    throw new Error(`Could not read accounts file ${filePath}: ${error.message}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Accounts file ${filePath} is not valid JSON: ${error.message}`);
+  }
+  const result = accountsFileSchema.safeParse(data);
+  if (!result.success) {
+    const issues = result.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+    throw new Error(`Invalid accounts file ${filePath}: ${issues.join('; ')}`);
+  }
+  return result.data;
+}
+
+// { accounts: [{ name, userId, apiToken }], defaultAccount, filePath }
+export function loadAccounts(env = process.env) {
+  const filePath = accountsFilePath(env);
+  const config = readAccountsFile(filePath, Boolean(env.HABITICA_ACCOUNTS_FILE));
+  const accounts = Object.entries(config.accounts).map(([name, account]) => ({ name, ...account }));
+
+  if (env.HABITICA_USER_ID && env.HABITICA_API_TOKEN && !config.accounts[ENV_ACCOUNT]) {
+    accounts.unshift({ name: ENV_ACCOUNT, userId: env.HABITICA_USER_ID, apiToken: env.HABITICA_API_TOKEN });
+  }
+  if (config.default && !accounts.some(account => account.name === config.default)) {
+    throw new Error(`Default account "${config.default}" is not listed in ${filePath}`);
+  }
+
+  return { accounts, defaultAccount: config.default || accounts[0]?.name, filePath };
+}
@@ -0,0 +1,179 @@
+// Task history analytics for Habitica MCP Server
+// Habitica appends an entry to a habit's or daily's `history` on every cron.
+// Newer entries carry `completed`/`isDue` (dailies) or `scoredUp`/`scoredDown`
+// (habits); for older entries the outcome is inferred from the value change.
+// Daily entries are written at cron and describe the day that just ended.
+import { dayIndexOf, endOfWeek, formatDay, userToday } from './dates.js';
+import { round } from './format.js';
+import { t } from './i18n.js';
+
+function sortedHistory(task) {
+  return [...(task.history || [])].sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+// One record per history entry: { day, value, delta, due, completed, up, down }
+export function historyRecords(task, preferences = {}) {
+  const history = sortedHistory(task);
+  return history.map((entry, i) => {
+    const previous = i > 0 ? history[i - 1].value : null;
+    const delta = previous === null ? 0 : entry.value - previous;
+    const day = task.type === 'daily'
+      ? userToday(preferences, new Date(entry.date)) - 1
+      : dayIndexOf(entry.date, preferences.timezoneOffset || 0);
+    const record = { day, value: entry.value, delta };
+
+    if (task.type === 'daily') {
+      record.due = entry.isDue !== undefined ? entry.isDue : true;
+      record.completed = entry.completed !== undefined ? entry.completed : delta > 0;
+      record.inferred = entry.completed === undefined && previous === null;
+    } else {
+      record.up = entry.scoredUp !== undefined ? entry.scoredUp : (delta > 0 ? 1 : 0);
+      record.down = entry.scoredDown !== undefined ? entry.scoredDown : (delta < 0 ? 1 : 0);
+    }
+    return record;
+  });
+}
+
+export function longestStreak(records) {
+  let longest = 0;
+  let current = 0;
+  for (const record of records) {
+    if (!record.due || record.inferred) continue;
+    current = record.completed ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  }
+  return longest;
+}
+
+function rate(completed, due) {
+  return due > 0 ? Math.round((completed / due) * 100) : null;
+}
+
+// Completion rates of a daily per Monday-based week and per calendar month
+function completionRates(records, windowStart, weeks, weekEnd) {
+  const weekly = Array.from({ length: weeks }, () => ({ due: 0, completed: 0 }));
+  const monthly = new Map();
+  let due = 0;
+  let completed = 0;
+
+  for (const record of records) {
+    if (record.day < windowStart || !record.due || record.inferred) continue;
+    const week = weeks - 1 - Math.floor((weekEnd - record.day) / 7);
+    if (week >= 0 && week < weeks) {
+      weekly[week].due++;
+      if (record.completed) weekly[week].completed++;
+    }
+    const month = formatDay(record.day).slice(0, 7);
+    const bucket = monthly.get(month) || { due: 0, completed: 0 };
+    bucket.due++;
+    if (record.completed) bucket.completed++;
+    monthly.set(month, bucket);
+    due++;
+    if (record.completed) completed++;
+  }
+
+  return {
+    overall: rate(completed, due),
+    due,
+    completed,
+    weekly: weekly.map(bucket => rate(bucket.completed, bucket.due)),
+    monthly: [...monthly.entries()].map(([month, bucket]) => ({ month, rate: rate(bucket.completed, bucket.due) })),
+  };
+}
+
+// Value at the start of the window: last entry before it, else first entry inside it
+function startValue(records, windowStart, fallback) {
+  let value = null;
+  for (const record of records) {
+    if (record.day < windowStart) value = record.value;
+    else if (value === null) return record.value;
+  }
+  return value === null ? fallback : value;
+}
+
+export function analyzeTasks(tasks, { today, preferences = {}, weeks = 8 }) {
+  const weekEnd = endOfWeek(today);
+  const windowStart = weekEnd - weeks * 7 + 1;
+
+  const dailies = [];
+  const habits = [];
+  for (const task of tasks) {
+    if (task.type !== 'daily' && task.type !== 'habit') continue;
+    const records = historyRecords(task, preferences);
+    const decay = round((task.value || 0) - startValue(records, windowStart, task.value || 0), 2);
+
+    if (task.type === 'daily') {
+      dailies.push({
+        task,
+        rates: completionRates(records, windowStart, weeks, weekEnd),
+        streak: task.streak || 0,
+        longestStreak: Math.max(longestStreak(records), task.streak || 0),
+        decay,
+      });
+    } else {
+      const inWindow = records.filter(record => record.day >= windowStart);
+      const up = inWindow.reduce((sum, record) => sum + record.up, 0);
+      const down = inWindow.reduce((sum, record) => sum + record.down, 0);
+      habits.push({ task, up, down, balance: up - down, decay });
+    }
+  }
+
+  const totals = dailies.reduce((sum, daily) => ({
+    due: sum.due + daily.rates.due,
+    completed: sum.completed + daily.rates.completed,
+  }), { due: 0, completed: 0 });
+
+  const worst = [...dailies, ...habits]
+    .filter(item => item.decay < 0)
+    .sort((a, b) => a.decay - b.decay);
+
+  return {
+    windowStart,
+    weekEnd,
+    weeks,
+    dailyCompletionRate: rate(totals.completed, totals.due),
+    dailies: dailies.sort((a, b) => (a.rates.overall ?? 101) - (b.rates.overall ?? 101)),
+    habits: habits.sort((a, b) => a.balance - b.balance),
+    worst,
+  };
+}
+
+function percent(value) {
+  return value === null ? '-' : `${value}%`;
+}
+
+export function formatHabitReport(analysis, { top = 5 } = {}) {
+  const lines = [
+    t(`Habit analysis: ${formatDay(analysis.windowStart)} to ${formatDay(analysis.weekEnd)} (${analysis.weeks} weeks)`),
+    t(`Overall daily completion: ${percent(analysis.dailyCompletionRate)}`),
+  ];
+
+  if (analysis.dailies.length > 0) {
+    lines.push('', t('Dailies (lowest completion first):'));
+    for (const daily of analysis.dailies) {
+      const weekly = daily.rates.weekly.map(percent).join(' ');
+      const monthly = daily.rates.monthly.map(({ month, rate: value }) => `${month} ${percent(value)}`).join(', ');
+      lines.push(t(`- ${daily.task.text}: ${percent(daily.rates.overall)} (${daily.rates.completed}/${daily.rates.due} due days), streak ${daily.streak}, longest ${daily.longestStreak}`));
+      lines.push(t(`  weekly (oldest→newest): ${weekly}${monthly ? t(` | monthly: ${monthly}`) : ''}`));
+    }
+  }
+
+  if (analysis.habits.length > 0) {
+    lines.push('', t('Habits (lowest balance first):'));
+    for (const habit of analysis.habits) {
+      lines.push(t(`- ${habit.task.text}: +${habit.up} / -${habit.down} (balance ${habit.balance >= 0 ? '+' : ''}${habit.balance})`));
+    }
+  }
+
+  lines.push('', t('Slipping (largest value drop):'));
+  const worst = analysis.worst.slice(0, top);
+  if (worst.length === 0) {
+    lines.push(t('None'));
+  }
+  worst.forEach((item, i) => {
+    const value = round(item.task.value, 1);
+    lines.push(t(`${i + 1}. ${item.task.text} [${item.task.type}]: value ${round(value - item.decay, 1)} → ${value} (${item.decay}) (ID: ${item.task.id})`));
+  });
+
+  return lines.join('\n');
+}
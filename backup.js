@@ -0,0 +1,168 @@
+// Backup format for Habitica MCP Server
+// A JSON backup holds the whole account snapshot; a CSV backup holds one row
+// per task. Both carry BACKUP_SCHEMA_VERSION so imports know how to read them.
+import { promises as fs } from 'fs';
+import { homedir } from 'os';
+import { dirname, isAbsolute, relative, resolve } from 'path';
+
+export const BACKUP_SCHEMA_VERSION = 1;
+
+export const CSV_COLUMNS = [
+  'schema_version',
+  'id',
+  'type',
+  'text',
+  'notes',
+  'priority',
+  'value',
+  'completed',
+  'date',
+  'tags',
+  'checklist',
+  'frequency',
+  'everyX',
+  'streak',
+  'createdAt',
+];
+
+// Directory that export and import paths must stay inside: undefined allows
+// any path, null allows none (HTTP mode without a backup directory)
+let backupDirectory;
+
+function expandHome(filePath) {
+  return filePath.replace(/^~(?=$|[/\\])/, homedir());
+}
+
+export function confineBackupPaths(directory) {
+  backupDirectory = directory ? resolve(expandHome(directory)) : null;
+}
+
+export function backupPathsAllowed() {
+  return backupDirectory !== null;
+}
+
+function isInside(directory, path) {
+  const rel = relative(directory, path);
+  return rel !== '' && !rel.startsWith('..') && !isAbsolute(rel);
+}
+
+// Relative paths are taken from the backup directory when one is set
+export function resolveBackupPath(filePath) {
+  if (backupDirectory === null) {
+    throw new Error('file paths are disabled in HTTP mode unless a backup directory is configured');
+  }
+  if (backupDirectory === undefined) {
+    return resolve(expandHome(filePath));
+  }
+  const fullPath = resolve(backupDirectory, expandHome(filePath));
+  if (!isInside(backupDirectory, fullPath)) {
+    throw new Error(`${filePath} is outside the backup directory ${backupDirectory}`);
+  }
+  return fullPath;
+}
+
+// Symlinks could still lead out of the backup directory, so the nearest part
+// of the path that exists is checked after resolving links
+async function checkRealPath(fullPath) {
+  if (!backupDirectory) {
+    return;
+  }
+  const realDirectory = await fs.realpath(backupDirectory);
+  let path = fullPath;
+  for (;;) {
+    try {
+      const realPath = await fs.realpath(path);
+      if (realPath !== realDirectory && !isInside(realDirectory, realPath)) {
+        throw new Error(`${fullPath} leads outside the backup directory ${backupDirectory}`);
+      }
+      return;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      path = dirname(path);
+    }
+  }
+}
+
+export function buildBackup({ user, tasks, completedTodos, tags }) {
+  const { pets, mounts, ...inventory } = user.items || {};
+
+  return {
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: 'habitica-mcp-server',
+    profile: {
+      id: user.id || user._id,
+      name: user.profile?.name,
+      username: user.auth?.local?.username,
+      blurb: user.profile?.blurb,
+      preferences: user.preferences,
+      stats: user.stats,
+      achievements: user.achievements,
+      history: user.history,
+    },
+    tags,
+    tasks: tasks.concat(completedTodos),
+    inventory,
+    pets: pets || {},
+    mounts: mounts || {},
+  };
+}
+
+export function csvCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Tags are written by name and checklist items as "[x] text | [ ] text"
+export function backupToCsv(backup) {
+  const tagNames = new Map(backup.tags.map(tag => [tag.id, tag.name]));
+  const rows = backup.tasks.map(task => [
+    backup.schemaVersion,
+    task.id,
+    task.type,
+    task.text,
+    task.notes,
+    task.priority,
+    task.value,
+    task.completed,
+    task.date,
+    (task.tags || []).map(id => tagNames.get(id) || id).join(';'),
+    (task.checklist || []).map(item => `[${item.completed ? 'x' : ' '}] ${item.text}`).join(' | '),
+    task.frequency,
+    task.everyX,
+    task.streak,
+    task.createdAt,
+  ].map(csvCell).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+// Returns false when the file exists and overwrite is off
+export async function writeBackupFile(filePath, contents, overwrite = false) {
+  const fullPath = resolveBackupPath(filePath);
+  if (backupDirectory) {
+    await fs.mkdir(backupDirectory, { recursive: true });
+  }
+  await checkRealPath(fullPath);
+  await fs.mkdir(dirname(fullPath), { recursive: true });
+  try {
+    await fs.writeFile(fullPath, contents, { encoding: 'utf8', flag: overwrite ? 'w' : 'wx' });
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      return false;
+    }
+    throw error;
+  }
+  return true;
+}
+
+export async function readBackupFile(filePath) {
+  const fullPath = resolveBackupPath(filePath);
+  await checkRealPath(fullPath);
+  return fs.readFile(fullPath, 'utf8');
+}
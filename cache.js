@@ -0,0 +1,81 @@
+// Cached user state for Habitica MCP Server
+// GET /user returns the whole account document, so reads share one cached
+// copy for a short TTL. Narrow reads use `userFields` projections, cached
+// separately, and are served from the full document when it is fresh.
+// Any mutating request drops the cache, except score and buy calls whose
+// responses carry the new stats and are merged in instead.
+import { toNextLevel } from './reports.js';
+
+export const DEFAULT_USER_CACHE_TTL = 30 * 1000;
+
+const STAT_FIELDS = ['hp', 'mp', 'exp', 'gp', 'lvl', 'class', 'points'];
+const SCORE_URL = /^\/tasks\/[^/]+\/score\/(up|down)$/;
+const BUY_URL = /^\/user\/buy\//;
+
+function statsFrom(data) {
+  const stats = Object.fromEntries(STAT_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+  if (stats.lvl !== undefined) {
+    stats.toNextLevel = toNextLevel(stats.lvl);
+  }
+  return stats;
+}
+
+export function createUserCache(client, { ttl = DEFAULT_USER_CACHE_TTL } = {}) {
+  // Keyed by the sorted userFields list; '' is the full document
+  const entries = new Map();
+
+  const isFresh = entry => entry && Date.now() - entry.fetchedAt < ttl;
+
+  function get(fields = []) {
+    const key = [...fields].sort().join(',');
+    const full = entries.get('');
+    if (isFresh(full)) return full.promise;
+    const cached = entries.get(key);
+    if (isFresh(cached)) return cached.promise;
+
+    const entry = {
+      fetchedAt: Date.now(),
+      promise: client.get(key ? `/user?userFields=${key}` : '/user').then(response => response.data.data),
+    };
+    entries.set(key, entry);
+    entry.promise.catch(() => {
+      if (entries.get(key) === entry) entries.delete(key);
+    });
+    return entry.promise;
+  }
+
+  function invalidate() {
+    entries.clear();
+  }
+
+  function updateStats(stats) {
+    for (const entry of entries.values()) {
+      entry.promise = entry.promise.then(user => (user.stats ? { ...user, stats: { ...user.stats, ...stats } } : user));
+    }
+  }
+
+  // Score responses are the new stats; buy responses are stats for potions
+  // and the items document for everything else
+  function observe(response) {
+    const { method, url } = response.config;
+    if (!method || method.toLowerCase() === 'get') {
+      return;
+    }
+    const data = response.data?.data;
+    const carriesStats = data && typeof data.gp === 'number' && typeof data.hp === 'number';
+    if (SCORE_URL.test(url) && carriesStats && !data._tmp?.drop) {
+      updateStats(statsFrom(data));
+    } else if (BUY_URL.test(url) && carriesStats) {
+      updateStats(statsFrom(data));
+    } else {
+      invalidate();
+    }
+  }
+
+  client.interceptors.response.use((response) => {
+    observe(response);
+    return response;
+  });
+
+  return { get, invalidate };
+}
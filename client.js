@@ -0,0 +1,162 @@
+// Rate-limit aware Habitica API client
+// Habitica allows 30 requests per minute and reports the budget in
+// X-RateLimit-Limit / X-RateLimit-Remaining / X-RateLimit-Reset headers.
+// Requests wait in a queue while the budget is used up, and idempotent
+// requests are retried with backoff on 429, 5xx and network errors.
+import axios from 'axios';
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ECONNREFUSED'];
+
+export const DEFAULT_CLIENT_OPTIONS = {
+  maxConcurrent: 4,
+  maxRetries: 3,
+  retryBaseDelay: 1000,
+  maxRetryDelay: 60 * 1000,
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function headerNumber(headers, name) {
+  const value = headers?.[name] ?? headers?.[name.toLowerCase()];
+  const number = Number(value);
+  return value === undefined || value === null || value === '' || Number.isNaN(number) ? null : number;
+}
+
+// X-RateLimit-Reset is a date; Retry-After is seconds or an HTTP date
+function headerTime(headers, name, now) {
+  const value = headers?.[name] ?? headers?.[name.toLowerCase()];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\d+(\.\d+)?$/.test(String(value))) {
+    return now + Number(value) * 1000;
+  }
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+export function isRetryable(error) {
+  const method = (error.config?.method || 'get').toLowerCase();
+  if (!IDEMPOTENT_METHODS.includes(method)) {
+    return false;
+  }
+  const status = error.response?.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_NETWORK_ERRORS.includes(error.code);
+}
+
+export function describeRateLimit(state, now = Date.now()) {
+  if (state.remaining === null) {
+    return 'rate limit unknown';
+  }
+  const limit = state.limit !== null ? ` of ${state.limit}` : '';
+  const reset = state.resetAt && state.resetAt > now ? `, resets in ${Math.ceil((state.resetAt - now) / 1000)}s` : '';
+  return `${state.remaining}${limit} requests left${reset}`;
+}
+
+// Proxy URL to axios' proxy option. Without one, axios uses HTTP(S)_PROXY;
+// false turns proxies off
+export function axiosProxy(proxy) {
+  if (!proxy) {
+    return proxy;
+  }
+  const url = new URL(proxy);
+  return {
+    protocol: url.protocol.replace(/:$/, ''),
+    host: url.hostname,
+    port: Number(url.port) || (url.protocol === 'https:' ? 443 : 80),
+    ...(url.username ? { auth: { username: decodeURIComponent(url.username), password: decodeURIComponent(url.password) } } : {}),
+  };
+}
+
+export function createHabiticaClient(axiosConfig, options = {}) {
+  const { maxConcurrent, maxRetries, retryBaseDelay, maxRetryDelay } = { ...DEFAULT_CLIENT_OPTIONS, ...options };
+  const client = axios.create(axiosConfig);
+  const state = { limit: null, remaining: null, resetAt: null };
+  const waiting = [];
+  let inFlight = 0;
+
+  // Requests in flight have not been counted by the server's last answer yet
+  function budgetExhausted(now) {
+    return state.remaining !== null && state.remaining - inFlight <= 0 && state.resetAt !== null && state.resetAt > now;
+  }
+
+  async function acquire() {
+    while (inFlight >= maxConcurrent || budgetExhausted(Date.now())) {
+      if (inFlight === 0) {
+        // Nothing in flight will wake us up, so wait for the budget to reset
+        await sleep(state.resetAt - Date.now() + 250);
+        state.remaining = null;
+      } else {
+        await new Promise(resolve => waiting.push(resolve));
+      }
+    }
+    inFlight++;
+  }
+
+  // Waiters re-check the budget against the headers the finished request brought back
+  function release() {
+    inFlight--;
+    waiting.splice(0).forEach(resolve => resolve());
+  }
+
+  function recordHeaders(headers) {
+    const now = Date.now();
+    const remaining = headerNumber(headers, 'X-RateLimit-Remaining');
+    if (remaining === null) {
+      return;
+    }
+    state.remaining = remaining;
+    state.limit = headerNumber(headers, 'X-RateLimit-Limit') ?? state.limit;
+    state.resetAt = headerTime(headers, 'X-RateLimit-Reset', now) ?? state.resetAt;
+  }
+
+  function retryDelay(error, attempt) {
+    const now = Date.now();
+    const retryAt = headerTime(error.response?.headers, 'Retry-After', now)
+      ?? (error.response?.status === 429 ? state.resetAt : null);
+    if (retryAt && retryAt > now) {
+      return Math.min(retryAt - now + 250, maxRetryDelay);
+    }
+    const backoff = retryBaseDelay * 2 ** attempt;
+    return Math.min(backoff + Math.random() * retryBaseDelay, maxRetryDelay);
+  }
+
+  // Queueing and retries wrap the adapter, below axios' interceptors, so
+  // interceptors added to the client see a request once however often it was sent
+  const baseAdapter = axios.getAdapter(client.defaults.adapter);
+
+  async function send(config) {
+    await acquire();
+    try {
+      const response = await baseAdapter(config);
+      recordHeaders(response.headers);
+      return response;
+    } catch (error) {
+      recordHeaders(error.response?.headers);
+      throw error;
+    } finally {
+      release();
+    }
+  }
+
+  client.defaults.adapter = async (config) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send(config);
+      } catch (error) {
+        if (attempt >= maxRetries || !isRetryable(error)) {
+          error.rateLimit = { ...state, retries: attempt };
+          throw error;
+        }
+        await sleep(retryDelay(error, attempt));
+      }
+    }
+  };
+
+  client.rateLimit = () => ({ ...state });
+  return client;
+}
@@ -0,0 +1,94 @@
+// Compatibility checks for self-hosted Habitica servers
+// At startup the server asks /status whether the API is up, makes a cheap GET
+// on the endpoints each family of tools relies on, and looks at the game
+// content for features an instance may lack. Tools the instance can't
+// support are reported so they can be disabled. Only GET requests are made.
+import { t } from './i18n.js';
+
+export const COMPATIBILITY_MODES = ['auto', 'on', 'off'];
+
+const OFFICIAL_HOSTS = ['habitica.com'];
+
+// Status codes meaning the route itself is missing, not that a request failed
+const MISSING_ROUTE_STATUSES = [404, 405, 501];
+
+const ENDPOINT_PROBES = [
+  { path: '/tags', tools: ['get_tags', 'create_tag', 'update_tag', 'delete_tag', 'reorder_tag', 'add_tag_to_task', 'remove_tag_from_task'] },
+  { path: '/challenges/user?page=0', tools: ['get_challenges', 'get_challenge', 'join_challenge', 'leave_challenge', 'create_challenge', 'export_challenge_progress', 'select_challenge_winner'] },
+  { path: '/groups?type=guilds', tools: ['get_guilds', 'join_guild', 'leave_guild', 'get_guild_chat', 'send_guild_message', 'get_guild_members'] },
+  { path: '/inbox/messages?page=0', tools: ['get_inbox'] },
+  { path: '/shops/market', tools: ['get_shop'] },
+  { path: '/notifications', tools: ['get_notifications'] },
+];
+
+// Content sections a feature needs; a missing or empty section disables its tools
+const CONTENT_FEATURES = [
+  { section: 'spells', feature: 'class skills', tools: ['cast_spell'] },
+  { section: 'quests', feature: 'quests', tools: ['start_quest', 'accept_quest', 'reject_quest', 'force_start_quest', 'abort_quest'] },
+  { section: 'eggs', feature: 'pet eggs', tools: ['hatch_pet'] },
+  { section: 'hatchingPotions', feature: 'hatching potions', tools: ['hatch_pet'] },
+  { section: 'food', feature: 'pet food', tools: ['feed_pet'] },
+];
+
+// 'auto' checks every server except habitica.com
+export function shouldCheckCompatibility(mode, apiBaseUrl) {
+  if (mode !== 'auto') {
+    return mode === 'on';
+  }
+  const host = new URL(apiBaseUrl).hostname;
+  return !OFFICIAL_HOSTS.some(official => host === official || host.endsWith(`.${official}`));
+}
+
+function describeFailure(error) {
+  return error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+}
+
+// { reachable, disabled: Map(tool -> reason), warnings: [] }
+export async function checkCompatibility(client, apiBaseUrl) {
+  const disabled = new Map();
+  const warnings = [];
+  const disable = (tools, reason) => tools.forEach(tool => disabled.has(tool) || disabled.set(tool, reason));
+
+  try {
+    const status = (await client.get('/status')).data?.data?.status;
+    if (status !== 'up') {
+      warnings.push(t(`${apiBaseUrl}/status reports "${status ?? 'no status'}" instead of "up"`));
+    }
+  } catch (error) {
+    // Nothing else can be checked against a server that doesn't answer
+    if (!error.response || MISSING_ROUTE_STATUSES.includes(error.response.status)) {
+      warnings.push(t(`Could not reach the Habitica API at ${apiBaseUrl}/status (${describeFailure(error)}), skipping compatibility checks`));
+      return { reachable: false, disabled, warnings };
+    }
+    warnings.push(t(`${apiBaseUrl}/status failed (${describeFailure(error)})`));
+  }
+
+  const probes = ENDPOINT_PROBES.map(probe => client.get(probe.path).then(() => null, error => error));
+  const content = client.get('/content').then(response => response.data?.data, error => error);
+
+  (await Promise.all(probes)).forEach((error, index) => {
+    const { path, tools } = ENDPOINT_PROBES[index];
+    if (!error) {
+      return;
+    }
+    if (MISSING_ROUTE_STATUSES.includes(error.response?.status)) {
+      disable(tools, t(`this Habitica server does not provide GET ${path.split('?')[0]} (${describeFailure(error)})`));
+    } else {
+      warnings.push(t(`Could not check GET ${path} (${describeFailure(error)}); its tools stay enabled`));
+    }
+  });
+
+  const contentData = await content;
+  if (contentData instanceof Error) {
+    warnings.push(t(`Could not load game content from /content (${describeFailure(contentData)}); content-dependent tools stay enabled`));
+  } else {
+    for (const { section, feature, tools } of CONTENT_FEATURES) {
+      const value = contentData?.[section];
+      if (!value || Object.keys(value).length === 0) {
+        disable(tools, t(`this Habitica server has no ${feature} in its game content`));
+      }
+    }
+  }
+
+  return { reachable: true, disabled, warnings };
+}
@@ -0,0 +1,124 @@
+// Date helpers for Habitica MCP Server
+// Habitica days are anchored to the user's timezone offset and custom day
+// start hour, so "today" is computed from those preferences rather than the
+// server clock. Days are represented as integer indexes (days since epoch).
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = {
+  sunday: 0, sun: 0,
+  monday: 1, mon: 1,
+  tuesday: 2, tue: 2, tues: 2,
+  wednesday: 3, wed: 3,
+  thursday: 4, thu: 4, thur: 4, thurs: 4,
+  friday: 5, fri: 5,
+  saturday: 6, sat: 6,
+};
+
+const UNITS = {
+  day: 1, days: 1,
+  week: 7, weeks: 7,
+};
+
+// timezoneOffset follows Date#getTimezoneOffset: minutes to add to local time to get UTC
+export function dayIndexOf(date, timezoneOffset = 0) {
+  return Math.floor((new Date(date).getTime() - timezoneOffset * 60 * 1000) / DAY_MS);
+}
+
+export function userToday({ timezoneOffset = 0, dayStart = 0 } = {}, now = new Date()) {
+  return dayIndexOf(now.getTime() - dayStart * 60 * 60 * 1000, timezoneOffset);
+}
+
+// Local midnight of the given day in the user's timezone
+export function dayIndexToDate(index, timezoneOffset = 0) {
+  return new Date(index * DAY_MS + timezoneOffset * 60 * 1000);
+}
+
+export function formatDay(index) {
+  return new Date(index * DAY_MS).toISOString().slice(0, 10);
+}
+
+export function weekdayOf(index) {
+  // 1970-01-01 was a Thursday
+  return (index + 4) % 7;
+}
+
+// Last day (Sunday) of the Monday-based week containing the given day
+export function endOfWeek(index) {
+  return index + ((7 - weekdayOf(index)) % 7);
+}
+
+export function addMonths(index, months) {
+  const date = new Date(index * DAY_MS);
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, daysInMonth));
+  return Math.floor(date.getTime() / DAY_MS);
+}
+
+function endOfMonth(index) {
+  const date = new Date(index * DAY_MS);
+  return Math.floor(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0) / DAY_MS);
+}
+
+function resolvePhrase(phrase, today) {
+  if (phrase === 'today' || phrase === 'tonight') return today;
+  if (phrase === 'tomorrow') return today + 1;
+  if (phrase === 'yesterday') return today - 1;
+  if (phrase === 'next week') return today + 7;
+  if (phrase === 'next month') return addMonths(today, 1);
+  if (phrase === 'end of week' || phrase === 'this weekend' || phrase === 'weekend') return endOfWeek(today);
+  if (phrase === 'end of month') return endOfMonth(today);
+  if (phrase === 'end of next week') return endOfWeek(today) + 7;
+
+  const relative = phrase.match(/^in (\d+|a|an|one) (day|days|week|weeks|month|months)$/);
+  if (relative) {
+    const amount = /^\d+$/.test(relative[1]) ? Number(relative[1]) : 1;
+    if (relative[2].startsWith('month')) {
+      return addMonths(today, amount);
+    }
+    return today + amount * UNITS[relative[2]];
+  }
+
+  // "friday" / "this friday": the next occurrence, today included
+  // "next friday": the next occurrence after today
+  const weekday = phrase.match(/^(this |next )?([a-z]+)$/);
+  if (weekday && weekday[2] in WEEKDAYS) {
+    const target = WEEKDAYS[weekday[2]];
+    let delta = (target - weekdayOf(today) + 7) % 7;
+    if (weekday[1] === 'next ' && delta === 0) {
+      delta = 7;
+    }
+    return today + delta;
+  }
+
+  return null;
+}
+
+// Resolve an ISO date or a natural phrase ("next Friday", "in 3 days") to a Date.
+// Date-only values resolve to local midnight in the user's timezone.
+export function resolveDueDate(input, preferences = {}, now = new Date()) {
+  const value = String(input).trim();
+  const timezoneOffset = preferences.timezoneOffset || 0;
+
+  const dateOnly = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dateOnly) {
+    const index = Math.floor(Date.UTC(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3])) / DAY_MS);
+    return dayIndexToDate(index, timezoneOffset);
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid date: ${input}`);
+    }
+    return date;
+  }
+
+  const index = resolvePhrase(value.toLowerCase().replace(/\s+/g, ' '), userToday(preferences, now));
+  if (index === null) {
+    throw new Error(`Unrecognized date: ${input}. Use an ISO date (YYYY-MM-DD) or a phrase like "tomorrow", "next Friday" or "in 3 days"`);
+  }
+  return dayIndexToDate(index, timezoneOffset);
+}
@@ -0,0 +1,291 @@
+// Response formatting for Habitica MCP Server
+// Read tools accept a `format` argument:
+//   summary - concise text digest (default unless configured otherwise)
+//   json    - JSON trimmed to the fields an assistant needs
+//   raw     - the full Habitica payload
+import { t } from './i18n.js';
+
+export const FORMATS = ['summary', 'json', 'raw'];
+export const DEFAULT_FORMAT = 'summary';
+
+// Format used when a tool call doesn't pass one; set from the configuration
+let defaultFormat = DEFAULT_FORMAT;
+
+export function setDefaultFormat(format) {
+  defaultFormat = format;
+}
+
+const DIFFICULTY_LABELS = { 0.1: 'easy', 1: 'medium', 1.5: 'hard', 2: 'very hard' };
+
+// Rounds to `digits` decimal places, treating a missing value as 0
+export function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round((value || 0) * factor) / factor;
+}
+
+function countedList(counts) {
+  const entries = Object.entries(counts || {}).filter(([, count]) => count > 0);
+  return entries.length > 0
+    ? entries.map(([key, count]) => `${key} x${count}`).join(', ')
+    : t('none');
+}
+
+function nonZero(counts) {
+  return Object.fromEntries(Object.entries(counts || {}).filter(([, count]) => count > 0));
+}
+
+function trimStats(stats = {}) {
+  return {
+    class: stats.class,
+    lvl: stats.lvl,
+    hp: round(stats.hp),
+    maxHealth: stats.maxHealth,
+    mp: round(stats.mp),
+    maxMP: stats.maxMP,
+    exp: round(stats.exp),
+    toNextLevel: stats.toNextLevel,
+    gp: round(stats.gp, 2),
+    str: stats.str,
+    int: stats.int,
+    con: stats.con,
+    per: stats.per,
+    points: stats.points,
+  };
+}
+
+function summarizeStats(stats = {}) {
+  const lines = [
+    t(`Level ${stats.lvl} ${stats.class || ''}`.trim()),
+    t(`HP: ${round(stats.hp)}/${stats.maxHealth}`),
+    t(`MP: ${round(stats.mp)}/${stats.maxMP}`),
+    t(`XP: ${round(stats.exp)}/${stats.toNextLevel}`),
+    t(`Gold: ${round(stats.gp, 2)}`),
+    t(`STR ${stats.str} / INT ${stats.int} / CON ${stats.con} / PER ${stats.per}`),
+  ];
+  if (stats.points) {
+    lines.push(t(`Unallocated attribute points: ${stats.points}`));
+  }
+  return lines.join('\n');
+}
+
+function trimTask(task) {
+  const trimmed = {
+    id: task.id,
+    type: task.type,
+    text: task.text,
+    notes: task.notes || undefined,
+    value: round(task.value, 2),
+    priority: task.priority,
+    completed: task.type === 'daily' || task.type === 'todo' ? task.completed : undefined,
+    isDue: task.type === 'daily' ? task.isDue : undefined,
+    streak: task.type === 'daily' ? task.streak : undefined,
+    date: task.date || undefined,
+    tags: task.tags?.length ? task.tags : undefined,
+    checklist: task.checklist?.length
+      ? task.checklist.map(item => ({ id: item.id, text: item.text, completed: item.completed }))
+      : undefined,
+  };
+  return JSON.parse(JSON.stringify(trimmed));
+}
+
+export function summarizeTask(task) {
+  const mark = task.completed ? '✓' : '○';
+  const details = [`value ${round(task.value)}`];
+  if (DIFFICULTY_LABELS[task.priority]) details.push(DIFFICULTY_LABELS[task.priority]);
+  if (task.type === 'daily' && task.isDue !== undefined) details.push(task.isDue ? t('due today') : t('not due'));
+  if (task.date) details.push(t(`due ${String(task.date).slice(0, 10)}`));
+  if (task.checklist?.length) {
+    details.push(`${task.checklist.filter(item => item.completed).length}/${task.checklist.length} checklist`);
+  }
+  return `${mark} [${task.type}] ${task.text} (${details.join(', ')}, ID: ${task.id})`;
+}
+
+const formatters = {
+  profile: {
+    json: user => ({
+      id: user.id || user._id,
+      name: user.profile?.name,
+      username: user.auth?.local?.username,
+      stats: trimStats(user.stats),
+      balance: user.balance,
+      gems: user.balance !== undefined ? user.balance * 4 : undefined,
+      party: user.party?._id ? { id: user.party._id, quest: user.party.quest?.key || null } : null,
+      guilds: user.guilds?.length || 0,
+      challenges: user.challenges?.length || 0,
+      preferences: {
+        dayStart: user.preferences?.dayStart,
+        timezoneOffset: user.preferences?.timezoneOffset,
+        language: user.preferences?.language,
+        sleep: user.preferences?.sleep,
+      },
+      tasks: {
+        habits: user.tasksOrder?.habits?.length || 0,
+        dailys: user.tasksOrder?.dailys?.length || 0,
+        todos: user.tasksOrder?.todos?.length || 0,
+        rewards: user.tasksOrder?.rewards?.length || 0,
+      },
+      loginIncentives: user.loginIncentives,
+      unreadMessages: user.inbox?.newMessages || 0,
+    }),
+    summary: user => {
+      const username = user.auth?.local?.username ? ` (@${user.auth.local.username})` : '';
+      const lines = [
+        t(`User: ${user.profile?.name || ''}${username} (ID: ${user.id || user._id})`),
+        summarizeStats(user.stats),
+      ];
+      if (user.balance !== undefined) lines.push(t(`Gems: ${user.balance * 4}`));
+      if (user.party?._id) {
+        lines.push(t(`Party: ${user.party._id}${user.party.quest?.key ? `, quest: ${user.party.quest.key}` : ''}`));
+      }
+      if (user.tasksOrder) {
+        lines.push(t(`Tasks: ${user.tasksOrder.habits?.length || 0} habits, ${user.tasksOrder.dailys?.length || 0} dailies, ${user.tasksOrder.todos?.length || 0} todos, ${user.tasksOrder.rewards?.length || 0} rewards`));
+      }
+      if (user.preferences) {
+        lines.push(t(`Day start: ${user.preferences.dayStart}:00${user.preferences.sleep ? ', resting in the Inn' : ''}`));
+      }
+      if (user.inbox?.newMessages) lines.push(t(`Unread messages: ${user.inbox.newMessages}`));
+      return lines.join('\n');
+    },
+  },
+
+  stats: {
+    json: trimStats,
+    summary: summarizeStats,
+  },
+
+  inventory: {
+    json: items => ({
+      eggs: nonZero(items.eggs),
+      hatchingPotions: nonZero(items.hatchingPotions),
+      food: nonZero(items.food),
+      quests: nonZero(items.quests),
+      special: nonZero(items.special),
+      gear: {
+        equipped: items.gear?.equipped,
+        costume: items.gear?.costume,
+        owned: Object.keys(items.gear?.owned || {}).filter(key => items.gear.owned[key]).length,
+      },
+      currentPet: items.currentPet,
+      currentMount: items.currentMount,
+    }),
+    summary: items => [
+      t(`Eggs: ${countedList(items.eggs)}`),
+      t(`Hatching potions: ${countedList(items.hatchingPotions)}`),
+      t(`Food: ${countedList(items.food)}`),
+      t(`Quest scrolls: ${countedList(items.quests)}`),
+      t(`Special items: ${countedList(items.special)}`),
+      t(`Equipped gear: ${Object.values(items.gear?.equipped || {}).join(', ') || t('none')}`),
+      t(`Owned gear pieces: ${Object.values(items.gear?.owned || {}).filter(Boolean).length}`),
+      t(`Current pet: ${items.currentPet || t('none')}, current mount: ${items.currentMount || t('none')}`),
+    ].join('\n'),
+  },
+
+  // Pet values are feeding progress; -1 means the pet was raised to a mount
+  pets: {
+    json: items => ({
+      currentPet: items.currentPet,
+      pets: items.pets,
+    }),
+    summary: items => {
+      const pets = Object.entries(items.pets || {});
+      const active = pets.filter(([, growth]) => growth > 0);
+      const raised = pets.filter(([, growth]) => growth === -1);
+      return [
+        t(`Pets: ${active.length} active, ${raised.length} raised to mounts`),
+        t(`Current pet: ${items.currentPet || t('none')}`),
+        active.length > 0 ? active.map(([key, growth]) => `${key} (${growth}/50)`).join(', ') : t('No active pets'),
+      ].join('\n');
+    },
+  },
+
+  mounts: {
+    json: items => ({
+      currentMount: items.currentMount,
+      mounts: Object.keys(items.mounts || {}).filter(key => items.mounts[key]),
+    }),
+    summary: items => {
+      const mounts = Object.keys(items.mounts || {}).filter(key => items.mounts[key]);
+      return [
+        t(`Mounts: ${mounts.length}`),
+        t(`Current mount: ${items.currentMount || t('none')}`),
+        mounts.length > 0 ? mounts.join(', ') : t('No mounts'),
+      ].join('\n');
+    },
+  },
+
+  shop: {
+    json: shop => ({
+      identifier: shop.identifier,
+      categories: (shop.categories || []).map(category => ({
+        identifier: category.identifier,
+        text: category.text,
+        items: (category.items || []).map(item => ({
+          key: item.key,
+          text: item.text,
+          value: item.value,
+          currency: item.currency,
+          locked: item.locked || undefined,
+        })),
+      })),
+    }),
+    summary: shop => {
+      const categories = shop.categories || [];
+      if (categories.length === 0) {
+        return t('No shop items found');
+      }
+      return categories.map(category => {
+        const items = (category.items || [])
+          .filter(item => !item.locked)
+          .map(item => `  ${item.key}: ${item.text} - ${item.value} ${item.currency || 'gold'}`);
+        return `${category.text} (${items.length}):\n${items.join('\n')}`;
+      }).join('\n\n');
+    },
+  },
+
+  notifications: {
+    json: notifications => notifications.map(notification => ({
+      id: notification.id,
+      type: notification.type,
+      seen: notification.seen,
+      data: notification.data,
+    })),
+    summary: notifications => {
+      if (notifications.length === 0) {
+        return t('No notifications');
+      }
+      return notifications.map(notification => {
+        const detail = notification.data?.message || notification.data?.group?.name || notification.data?.title || '';
+        return `${notification.seen ? '·' : '•'} ${notification.type}${detail ? `: ${detail}` : ''} (ID: ${notification.id})`;
+      }).join('\n');
+    },
+  },
+
+  tags: {
+    json: tags => tags.map(tag => ({ id: tag.id, name: tag.name, challenge: tag.challenge || undefined })),
+    summary: tags => (tags.length > 0
+      ? t(`Tags (${tags.length}):\n`) + tags.map(tag => `${tag.name}${tag.challenge ? ' [challenge]' : ''} (ID: ${tag.id})`).join('\n')
+      : t('No tags found')),
+  },
+
+  tasks: {
+    json: tasks => tasks.map(trimTask),
+    summary: tasks => (tasks.length > 0 ? tasks.map(summarizeTask).join('\n') : t('No tasks found')),
+  },
+
+  task: {
+    json: trimTask,
+    summary: summarizeTask,
+  },
+};
+
+// Render data of the given kind. `raw` is what format="raw" prints and
+// defaults to the data itself; pass the full API response to keep its envelope.
+export function formatData(kind, data, format = defaultFormat, raw = data) {
+  if (format === 'raw') {
+    return JSON.stringify(raw, null, 2);
+  }
+  if (format === 'json') {
+    return JSON.stringify(formatters[kind].json(data), null, 2);
+  }
+  return formatters[kind].summary(data);
+}
@@ -0,0 +1,156 @@
+// HTTP transport for Habitica MCP Server
+// Serves MCP over Server-Sent Events so one running instance can be shared
+// by several clients: GET /sse opens a session, the client posts its
+// messages to /messages?sessionId=..., and GET /health reports status.
+// Requests must name an expected Host and Origin, so web pages can't reach a
+// local server through DNS rebinding, and carry the bearer token when one is set.
+import { timingSafeEqual } from 'crypto';
+import { createServer } from 'http';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+
+export const DEFAULT_HTTP_HOST = '127.0.0.1';
+export const DEFAULT_HTTP_PORT = 3000;
+export const SHUTDOWN_TIMEOUT_MS = 10 * 1000;
+
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+export function isLoopbackHost(host) {
+  return LOOPBACK_HOSTS.includes(host) || /^127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers }).end(JSON.stringify(body));
+}
+
+// Hostname without port or IPv6 brackets, or null when it can't be parsed
+function hostnameOf(value) {
+  try {
+    return new URL(value).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function sameToken(given, expected) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// connect(transport) must connect a fresh MCP server to the transport.
+// Host headers may name a loopback address or the bound host; Origin headers,
+// sent by browsers, may only name those hosts or one of allowedOrigins.
+export function startHttpServer({ host, port, version, connect, token, allowedOrigins = [] }) {
+  const sessions = new Map();
+  const startedAt = Date.now();
+  let shuttingDown = false;
+
+  const allowedHosts = new Set(LOOPBACK_HOSTS);
+  if (!WILDCARD_HOSTS.includes(host)) {
+    allowedHosts.add(host.toLowerCase());
+  }
+  const isAllowedHost = name => name !== null && (allowedHosts.has(name) || isLoopbackHost(name));
+
+  // Returns [status, message] for a rejected request, or null
+  function rejection(req, needsToken) {
+    // A wildcard bind answers on any address, so only the token protects it
+    if (!WILDCARD_HOSTS.includes(host) && !isAllowedHost(hostnameOf(`http://${req.headers.host || ''}`))) {
+      return [403, `Host ${req.headers.host || '(missing)'} is not allowed`];
+    }
+    const origin = req.headers.origin;
+    if (origin && !allowedOrigins.includes(origin) && !isAllowedHost(hostnameOf(origin))) {
+      return [403, `Origin ${origin} is not allowed`];
+    }
+    if (needsToken && token) {
+      const [scheme, given] = (req.headers.authorization || '').split(' ');
+      if (scheme?.toLowerCase() !== 'bearer' || !given || !sameToken(given, token)) {
+        return [401, 'Missing or invalid bearer token'];
+      }
+    }
+    return null;
+  }
+
+  async function openSession(res) {
+    const transport = new SSEServerTransport(MESSAGES_PATH, res);
+    sessions.set(transport.sessionId, transport);
+    res.on('close', () => sessions.delete(transport.sessionId));
+    try {
+      await connect(transport);
+    } catch (error) {
+      sessions.delete(transport.sessionId);
+      console.error(`Could not open MCP session: ${error.message}`);
+      if (!res.headersSent) sendJson(res, 500, { error: error.message });
+      else res.end();
+    }
+  }
+
+  async function postMessage(req, res, url) {
+    const transport = sessions.get(url.searchParams.get('sessionId'));
+    if (!transport) {
+      sendJson(res, 404, { error: 'Unknown or expired session' });
+      return;
+    }
+    // The transport answers the request itself, including errors
+    await transport.handlePostMessage(req, res).catch(() => {});
+  }
+
+  const httpServer = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    const rejected = rejection(req, url.pathname !== '/health');
+    if (rejected) {
+      const [status, error] = rejected;
+      sendJson(res, status, { error }, status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {});
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      sendJson(res, shuttingDown ? 503 : 200, {
+        status: shuttingDown ? 'shutting down' : 'ok',
+        version,
+        sessions: sessions.size,
+        uptime: Math.round((Date.now() - startedAt) / 1000),
+      });
+    } else if (shuttingDown) {
+      sendJson(res, 503, { error: 'Server is shutting down' });
+    } else if (req.method === 'GET' && url.pathname === SSE_PATH) {
+      openSession(res);
+    } else if (req.method === 'POST' && url.pathname === MESSAGES_PATH) {
+      postMessage(req, res, url);
+    } else {
+      sendJson(res, 404, { error: 'Not found' });
+    }
+  });
+
+  // Stop accepting connections, close open sessions and wait for requests
+  // in flight, then give up after SHUTDOWN_TIMEOUT_MS
+  function shutdown() {
+    if (shuttingDown) {
+      return Promise.resolve();
+    }
+    shuttingDown = true;
+    const closed = new Promise(resolve => httpServer.close(resolve));
+    for (const transport of sessions.values()) {
+      transport.close().catch(() => {});
+    }
+    sessions.clear();
+    httpServer.closeIdleConnections?.();
+    const timeout = new Promise(resolve => setTimeout(() => {
+      httpServer.closeAllConnections?.();
+      resolve();
+    }, SHUTDOWN_TIMEOUT_MS).unref());
+    return Promise.race([closed, timeout]);
+  }
+
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve({ httpServer, sessions, shutdown, address: httpServer.address() });
+    });
+  });
+}
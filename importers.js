@@ -0,0 +1,275 @@
+// Import parsers for Habitica MCP Server
+// Every parser returns the same shape:
+//   { source, tags: [{ id, name }], tasks: [{ type, text, tags: [tag name], checklist, ... }] }
+// Task tags are always tag names so imports can map them onto the target account.
+import { BACKUP_SCHEMA_VERSION, readBackupFile } from './backup.js';
+
+// Fields copied from backups onto new tasks
+const TASK_FIELDS = [
+  'type',
+  'text',
+  'notes',
+  'priority',
+  'date',
+  'completed',
+  'frequency',
+  'everyX',
+  'repeat',
+  'daysOfMonth',
+  'weeksOfMonth',
+  'startDate',
+  'up',
+  'down',
+];
+
+export function detectFormat(text, fileName = '') {
+  const extension = fileName.toLowerCase().split('.').pop();
+  if (extension === 'json') return 'json';
+  if (extension === 'csv') return isTodoistCsv(text) ? 'todoist' : 'csv';
+  if (extension === 'md' || extension === 'markdown') return 'markdown';
+
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('{')) return 'json';
+  if (/^\s*([-*+]|\d+[.)])\s/m.test(text)) return 'markdown';
+  return isTodoistCsv(text) ? 'todoist' : 'csv';
+}
+
+// RFC 4180 CSV: quoted fields, doubled quotes, newlines inside quotes
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function csvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const columns = header.map(name => name.trim());
+  return rows.map(cells => Object.fromEntries(columns.map((name, i) => [name, cells[i] ?? ''])));
+}
+
+function parseJsonBackup(text) {
+  const backup = JSON.parse(text);
+  if (!Array.isArray(backup.tasks)) {
+    throw new Error('JSON file is not a Habitica MCP backup: missing "tasks"');
+  }
+  if (backup.schemaVersion > BACKUP_SCHEMA_VERSION) {
+    throw new Error(`Backup schema version ${backup.schemaVersion} is newer than supported version ${BACKUP_SCHEMA_VERSION}`);
+  }
+
+  const tags = (backup.tags || []).filter(tag => !tag.challenge && !tag.group);
+  const tagNames = new Map((backup.tags || []).map(tag => [tag.id, tag.name]));
+
+  const tasks = backup.tasks
+    // Challenge and group tasks belong to their owners and can't be recreated as-is
+    .filter(task => !task.challenge?.id && !task.group?.id)
+    .map(task => {
+      const imported = Object.fromEntries(TASK_FIELDS.filter(field => task[field] !== undefined).map(field => [field, task[field]]));
+      if (task.type === 'reward') {
+        imported.value = task.value;
+      }
+      imported.tags = (task.tags || []).map(id => tagNames.get(id)).filter(Boolean);
+      imported.checklist = (task.checklist || []).map(item => ({ text: item.text, completed: Boolean(item.completed) }));
+      return imported;
+    });
+
+  return { source: 'json', tags, tasks };
+}
+
+function parseChecklistCell(cell) {
+  if (!cell) return [];
+  return cell.split(' | ').map(entry => {
+    const match = entry.match(/^\[( |x)\] (.*)$/);
+    return match ? { text: match[2], completed: match[1] === 'x' } : { text: entry, completed: false };
+  });
+}
+
+function numberOrUndefined(value) {
+  return value === '' || value === undefined ? undefined : Number(value);
+}
+
+// CSV written by export_data, or any CSV with at least a "text" column
+function parseTaskCsv(text) {
+  const records = csvRecords(text);
+  if (records.length > 0 && !('text' in records[0])) {
+    throw new Error('CSV file needs a "text" column');
+  }
+  if (records.some(record => Number(record.schema_version) > BACKUP_SCHEMA_VERSION)) {
+    throw new Error(`CSV schema version is newer than supported version ${BACKUP_SCHEMA_VERSION}`);
+  }
+
+  const tasks = records.filter(record => record.text.trim()).map(record => JSON.parse(JSON.stringify({
+    type: record.type || 'todo',
+    text: record.text.trim(),
+    notes: record.notes || undefined,
+    priority: numberOrUndefined(record.priority),
+    completed: record.completed === 'true' || undefined,
+    date: record.date || undefined,
+    frequency: record.frequency || undefined,
+    everyX: numberOrUndefined(record.everyX),
+    tags: record.tags ? record.tags.split(';').map(tag => tag.trim()).filter(Boolean) : [],
+    checklist: parseChecklistCell(record.checklist),
+  })));
+
+  return { source: 'csv', tags: [], tasks };
+}
+
+// Habitica priority for "!", "!!" and "!!!" markers
+const MARKER_PRIORITIES = [1, 1.5, 2];
+
+// Pull "#tag" and "!!" markers out of a Markdown list item
+function parseMarkers(itemText) {
+  const tags = [];
+  let priority;
+  const text = itemText
+    .replace(/(^|\s)#([\p{L}\p{N}_/-]+)/gu, (match, space, tag) => {
+      tags.push(tag);
+      return space;
+    })
+    .replace(/(^|\s)(!{1,3})(?=\s|$)/g, (match, space, marks) => {
+      priority = MARKER_PRIORITIES[marks.length - 1];
+      return space;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+  return { text, tags, priority };
+}
+
+// Top-level list items become todos, nested items become checklist entries.
+// "#tag" adds a tag and "!", "!!" or "!!!" sets medium, hard or very hard.
+function parseMarkdownList(text) {
+  const tasks = [];
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[( |x|X)\]\s+)?(.+)$/);
+    if (!match) continue;
+    const [, indent, checkbox, itemText] = match;
+    const completed = checkbox === 'x' || checkbox === 'X';
+    const item = parseMarkers(itemText);
+    if (!item.text) continue;
+
+    const parent = tasks[tasks.length - 1];
+    if (indent.replace(/\t/g, '  ').length >= 2 && parent) {
+      parent.checklist.push({ text: item.text, completed });
+      parent.tags.push(...item.tags.filter(tag => !parent.tags.includes(tag)));
+    } else {
+      tasks.push(JSON.parse(JSON.stringify({
+        type: 'todo',
+        text: item.text,
+        priority: item.priority,
+        completed: completed || undefined,
+        tags: [...new Set(item.tags)],
+        checklist: [],
+      })));
+    }
+  }
+  return { source: 'markdown', tags: [], tasks };
+}
+
+// CSV exports number priorities like the app: 1 is p1, the most urgent, and
+// 4 is the default, which keeps Habitica's default difficulty
+const TODOIST_PRIORITIES = { 1: 2, 2: 1.5, 3: 1 };
+
+// Todoist CSV export: TYPE, CONTENT, DESCRIPTION, PRIORITY, INDENT, ..., DATE.
+// Sub-tasks (INDENT > 1) become checklist entries and "@label" becomes a tag.
+function parseTodoistCsv(text) {
+  const tasks = [];
+  for (const record of csvRecords(text)) {
+    const parent = tasks[tasks.length - 1];
+    if (record.TYPE === 'note' && parent) {
+      parent.notes = [parent.notes, record.CONTENT.trim()].filter(Boolean).join('\n\n');
+      continue;
+    }
+    if (record.TYPE !== 'task' || !record.CONTENT.trim()) continue;
+
+    const labels = [];
+    const content = record.CONTENT
+      .replace(/(^|\s)@([\p{L}\p{N}_/-]+)/gu, (match, space, label) => {
+        labels.push(label);
+        return space;
+      })
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (Number(record.INDENT) > 1 && parent) {
+      parent.checklist.push({ text: content, completed: false });
+      continue;
+    }
+
+    // Todoist dates are free text ("every day", "Oct 20"); only exact dates carry
+    // over as the due day, and the original text is kept when it says more
+    const date = record.DATE?.trim();
+    const exactDate = date?.match(/^\d{4}-\d{2}-\d{2}/)?.[0];
+    const notes = [record.DESCRIPTION?.trim(), date && date !== exactDate ? `Todoist date: ${date}` : '']
+      .filter(Boolean)
+      .join('\n\n');
+
+    tasks.push(JSON.parse(JSON.stringify({
+      type: 'todo',
+      text: content,
+      notes: notes || undefined,
+      priority: TODOIST_PRIORITIES[record.PRIORITY],
+      date: exactDate,
+      tags: [...new Set(labels)],
+      checklist: [],
+    })));
+  }
+  return { source: 'todoist', tags: [], tasks };
+}
+
+function isTodoistCsv(text) {
+  const [header = []] = parseCsv(text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0]);
+  return header.includes('TYPE') && header.includes('CONTENT');
+}
+
+const PARSERS = {
+  json: parseJsonBackup,
+  csv: parseTaskCsv,
+  markdown: parseMarkdownList,
+  todoist: parseTodoistCsv,
+};
+
+export function parseImport(text, format = 'auto', fileName = '') {
+  const resolved = format === 'auto' ? detectFormat(text, fileName) : format;
+  const parser = PARSERS[resolved];
+  if (!parser) {
+    throw new Error(`Unsupported import format: ${format}`);
+  }
+  return parser(text);
+}
+
+export async function readImportFile(filePath) {
+  return readBackupFile(filePath);
+}
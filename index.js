@@ -1,56 +1,162 @@
 #!/usr/bin/env node
 
 import 'dotenv/config';
+import { AsyncLocalStorage } from 'async_hooks';
+import { readFileSync } from 'fs';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import axios from 'axios';
 import { z } from 'zod';
 import { setLanguage, t } from './i18n.js';
+import { loadAccounts } from './accounts.js';
+import { analyzeTasks, formatHabitReport } from './analytics.js';
+import { BACKUP_SCHEMA_VERSION, backupPathsAllowed, backupToCsv, buildBackup, confineBackupPaths, resolveBackupPath, writeBackupFile } from './backup.js';
+import { createUserCache } from './cache.js';
+import { axiosProxy, createHabiticaClient, describeRateLimit } from './client.js';
+import { checkCompatibility, shouldCheckCompatibility } from './compat.js';
+import { dayIndexOf, endOfWeek, formatDay, resolveDueDate, userToday } from './dates.js';
+import { FORMATS, formatData, round, setDefaultFormat } from './format.js';
+import { startHttpServer } from './http.js';
+import { parseImport, readImportFile } from './importers.js';
+import { appendEntry, belongsToAccount, claimUndo, finishUndo, loadJournal, restorableTask } from './journal.js';
+import { buildReport, formatReportCsv, formatReportMarkdown, periodRange } from './reports.js';
+import { DEFAULT_RED_THRESHOLD, PROMPTS, bossQuestPrompt, planMyDayPrompt, triageRedTasksPrompt, weeklyReviewPrompt } from './prompts.js';
+import { RESOURCES, RESOURCE_TEMPLATES, parseResourceUri, resourcesAffectedBy } from './resources.js';
+import { CONFIRMABLE_TOOLS, TOKEN_TTL_MS, consumeToken, issueToken } from './safety.js';
+import { TOOL_GROUPS, loadConfig } from './settings.js';
+import { deleteTemplate, loadTemplates, renderTemplate, saveTemplate, templateVariables } from './templates.js';
 
-// Habitica API base configuration
-const HABITICA_API_BASE = 'https://habitica.com/api/v3';
+const { version: SERVER_VERSION } = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
 
-// Validate environment variables
-const HABITICA_USER_ID = process.env.HABITICA_USER_ID;
-const HABITICA_API_TOKEN = process.env.HABITICA_API_TOKEN;
+// Load configuration: CLI flags, then environment variables, then the config file
+let config;
+try {
+  config = loadConfig(process.argv.slice(2));
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
 
-// Detect language (default EN)
-setLanguage(process.env.MCP_LANG || process.env.LANG || 'en');
+setLanguage(config.language);
+setDefaultFormat(config.format);
 
-if (!HABITICA_USER_ID || !HABITICA_API_TOKEN) {
-  console.error(t('Error: Please set HABITICA_USER_ID and HABITICA_API_TOKEN environment variables'));
+// Load Habitica accounts: named profiles from the accounts file and the env pair
+let accountConfig;
+try {
+  accountConfig = loadAccounts();
+} catch (error) {
+  console.error(t(`Error: ${error.message}`));
   process.exit(1);
 }
 
-// Create Habitica API client
-const habiticaClient = axios.create({
-  baseURL: HABITICA_API_BASE,
-  headers: {
-    'x-api-user': HABITICA_USER_ID,
-    'x-api-key': HABITICA_API_TOKEN,
-    'x-client': `${HABITICA_USER_ID}-MCP-Server`,
-    'Content-Type': 'application/json',
-  },
-});
+if (accountConfig.accounts.length === 0) {
+  console.error(t(`Error: Please set HABITICA_USER_ID and HABITICA_API_TOKEN environment variables or list accounts in ${accountConfig.filePath}`));
+  process.exit(1);
+}
 
-// Create MCP server
-const server = new Server(
-  {
-    name: 'habitica-mcp-server',
-    version: '0.0.1',
-  },
-  {
-    capabilities: {
-      tools: {},
+// Each account gets its own API client, since Habitica rate limits each user
+// separately, and its own /user cache
+function createAccountSession({ name, userId, apiToken }) {
+  // Queues requests and retries around the rate limit
+  const client = createHabiticaClient({
+    baseURL: config.apiBaseUrl,
+    timeout: config.timeout,
+    proxy: axiosProxy(config.proxy),
+    headers: {
+      'x-api-user': userId,
+      'x-api-key': apiToken,
+      'x-client': `${userId}-MCP-Server`,
+      'Content-Type': 'application/json',
     },
+  }, {
+    maxConcurrent: config.maxConcurrent,
+    maxRetries: config.maxRetries,
+  });
+
+  // Shared /user state, dropped or patched after every mutating request
+  const cache = createUserCache(client, { ttl: config.cacheTtl });
+
+  // Resources show each session's active account, so only its sessions are notified
+  client.interceptors.response.use((response) => {
+    notifyResourceChanges(name, resourcesAffectedBy(response.config.method, response.config.url));
+    return response;
+  });
+
+  return { name, userId, client, cache };
+}
+
+const accounts = new Map(accountConfig.accounts.map(account => [account.name, createAccountSession(account)]));
+
+// The session (one per connected client) and the account a request acts on.
+// Each session has its own active account; a tool's `account` argument
+// overrides it for that call.
+const accountContext = new AsyncLocalStorage();
+
+function currentSession() {
+  return accountContext.getStore()?.session;
+}
+
+function currentAccount() {
+  return accountContext.getStore()?.account ?? accounts.get(accountConfig.defaultAccount);
+}
+
+function resolveAccount(session, name) {
+  if (!name) {
+    return accounts.get(session.activeAccount);
   }
-);
+  if (!accounts.has(name)) {
+    throw new McpError(ErrorCode.InvalidParams, t(`Unknown account "${name}". Available accounts: ${[...accounts.keys()].join(', ')}`));
+  }
+  return accounts.get(name);
+}
+
+// Tool functions use habiticaClient and userCache as if there were a single
+// account; both forward to the account of the current call
+function forwardToAccount(pick) {
+  return new Proxy({}, {
+    get(_, property) {
+      const target = pick(currentAccount());
+      const value = target[property];
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+  });
+}
+
+const habiticaClient = forwardToAccount(account => account.client);
+const userCache = forwardToAccount(account => account.cache);
+
+// Shared `format` argument for read tools
+const formatProperty = {
+  type: 'string',
+  enum: FORMATS,
+  description: t(`Output format: "summary" (concise text), "json" (relevant fields only) or "raw" (full Habitica response). Default is "${config.format}"`),
+  default: config.format,
+};
+
+// Shared arguments for destructive and gold-spending tools
+const confirmationProperties = {
+  dryRun: {
+    type: 'boolean',
+    description: t('Only preview the effect and return a confirmation token, without changing anything'),
+    default: false,
+  },
+  confirmationToken: {
+    type: 'string',
+    description: t('Token from a previous preview. Required to go ahead when safe mode (HABITICA_SAFE_MODE) is on'),
+  },
+};
 
 // Tool definitions
 const tools = [
@@ -59,7 +165,9 @@ const tools = [
     description: t('Get user profile'),
     inputSchema: {
       type: 'object',
-      properties: {},
+      properties: {
+        format: formatProperty,
+      },
     },
   },
   {
@@ -73,6 +181,57 @@ const tools = [
           enum: ['habits', 'dailys', 'todos', 'rewards'],
           description: t('Task type'),
         },
+        format: formatProperty,
+        due: {
+          type: 'string',
+          enum: ['overdue', 'today', 'week', 'all'],
+          description: t('List uncompleted todos by due date instead: "overdue", "today", "week" (due later this week) or "all" (all three groups). Uses your Habitica timezone and day start'),
+        },
+        tag: {
+          type: 'string',
+          description: t('Only tasks with this tag (tag name or ID)'),
+        },
+        search: {
+          type: 'string',
+          description: t('Case-insensitive text search across title, notes and checklist items'),
+        },
+        completed: {
+          type: 'boolean',
+          description: t('true = only completed tasks (includes completed todos), false = only uncompleted tasks'),
+        },
+        dueToday: {
+          type: 'boolean',
+          description: t('true = only dailies due today, false = only dailies not due today'),
+        },
+        difficulty: {
+          type: 'number',
+          enum: [0.1, 1, 1.5, 2],
+          description: t('Only tasks with this difficulty (0.1=easy, 1=medium, 1.5=hard, 2=very hard)'),
+        },
+        minValue: {
+          type: 'number',
+          description: t('Minimum task value. Negative values are red (neglected) tasks, positive values are blue'),
+        },
+        maxValue: {
+          type: 'number',
+          description: t('Maximum task value. Use maxValue=0 to find red tasks'),
+        },
+        sortBy: {
+          type: 'string',
+          enum: ['value', 'difficulty', 'date', 'text', 'createdAt', 'updatedAt'],
+          description: t('Sort field'),
+        },
+        order: {
+          type: 'string',
+          enum: ['asc', 'desc'],
+          description: t('Sort order. Default is "asc"'),
+          default: 'asc',
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          description: t('Maximum number of tasks to return'),
+        },
       },
     },
   },
@@ -142,6 +301,10 @@ const tools = [
           type: 'string',
           description: t('Start date in ISO 8601 format (e.g., "2024-01-15"). Task becomes active on this date'),
         },
+        date: {
+          type: 'string',
+          description: t('Due date for todos. ISO 8601 date (e.g. "2024-01-15") or a phrase like "today", "tomorrow", "next Friday", "in 3 days", "end of month". Resolved in your Habitica timezone and day start'),
+        },
         checklist: {
           type: 'array',
           items: {
@@ -161,6 +324,11 @@ const tools = [
           },
           description: t('Checklist items'),
         },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: t('Tag names or IDs. Tags that do not exist yet are created'),
+        },
       },
       required: ['type', 'text'],
     },
@@ -243,6 +411,10 @@ const tools = [
           type: 'string',
           description: t('Start date in ISO 8601 format (e.g., "2024-01-15"). Task becomes active on this date'),
         },
+        date: {
+          type: 'string',
+          description: t('Due date for todos. ISO 8601 date (e.g. "2024-01-15") or a phrase like "tomorrow", "next Friday", "in 3 days". Use "none" to remove the due date'),
+        },
       },
       required: ['taskId'],
     },
@@ -257,6 +429,7 @@ const tools = [
           type: 'string',
           description: t('Task ID'),
         },
+        ...confirmationProperties,
       },
       required: ['taskId'],
     },
@@ -266,7 +439,9 @@ const tools = [
     description: t('Get user stats'),
     inputSchema: {
       type: 'object',
-      properties: {},
+      properties: {
+        format: formatProperty,
+      },
     },
   },
   {
@@ -279,6 +454,7 @@ const tools = [
           type: 'string',
           description: t('Reward key or ID'),
         },
+        ...confirmationProperties,
       },
       required: ['key'],
     },
@@ -288,7 +464,9 @@ const tools = [
     description: t('Get inventory'),
     inputSchema: {
       type: 'object',
-      properties: {},
+      properties: {
+        format: formatProperty,
+      },
     },
   },
   {
@@ -314,7 +492,9 @@ const tools = [
     description: t('Get tags list'),
     inputSchema: {
       type: 'object',
-      properties: {},
+      properties: {
+        format: formatProperty,
+      },
     },
   },
   {
@@ -331,12 +511,106 @@ const tools = [
       required: ['name'],
     },
   },
+  {
+    name: 'update_tag',
+    description: t('Rename tag'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tag: {
+          type: 'string',
+          description: t('Tag name or ID'),
+        },
+        name: {
+          type: 'string',
+          description: t('New tag name'),
+        },
+      },
+      required: ['tag', 'name'],
+    },
+  },
+  {
+    name: 'delete_tag',
+    description: t('Delete tag (it is removed from all tasks)'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tag: {
+          type: 'string',
+          description: t('Tag name or ID'),
+        },
+      },
+      required: ['tag'],
+    },
+  },
+  {
+    name: 'reorder_tag',
+    description: t('Move tag to a new position in the tag list'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tag: {
+          type: 'string',
+          description: t('Tag name or ID'),
+        },
+        position: {
+          type: 'integer',
+          minimum: 0,
+          description: t('New 0-based position'),
+        },
+      },
+      required: ['tag', 'position'],
+    },
+  },
+  {
+    name: 'add_tag_to_task',
+    description: t('Add tag to task'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: {
+          type: 'string',
+          description: t('Task ID'),
+        },
+        tag: {
+          type: 'string',
+          description: t('Tag name or ID'),
+        },
+        createMissing: {
+          type: 'boolean',
+          description: t('Create the tag if no tag with that name exists'),
+          default: false,
+        },
+      },
+      required: ['taskId', 'tag'],
+    },
+  },
+  {
+    name: 'remove_tag_from_task',
+    description: t('Remove tag from task'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: {
+          type: 'string',
+          description: t('Task ID'),
+        },
+        tag: {
+          type: 'string',
+          description: t('Tag name or ID'),
+        },
+      },
+      required: ['taskId', 'tag'],
+    },
+  },
   {
     name: 'get_pets',
     description: t('Get pets list'),
     inputSchema: {
       type: 'object',
-      properties: {},
+      properties: {
+        format: formatProperty,
+      },
     },
   },
   {
@@ -353,6 +627,7 @@ const tools = [
           type: 'string',
           description: t('Food key'),
         },
+        ...confirmationProperties,
       },
       required: ['pet', 'food'],
     },
@@ -371,6 +646,7 @@ const tools = [
           type: 'string',
           description: t('Hatching potion key'),
         },
+        ...confirmationProperties,
       },
       required: ['egg', 'hatchingPotion'],
     },
@@ -380,7 +656,9 @@ const tools = [
     description: t('Get mounts list'),
     inputSchema: {
       type: 'object',
-      properties: {},
+      properties: {
+        format: formatProperty,
+      },
     },
   },
   {
@@ -407,7 +685,9 @@ const tools = [
     description: t('Get notifications list'),
     inputSchema: {
       type: 'object',
-      properties: {},
+      properties: {
+        format: formatProperty,
+      },
     },
   },
   {
@@ -435,6 +715,7 @@ const tools = [
           enum: ['market', 'questShop', 'timeTravelersShop', 'seasonalShop'],
           description: t('Shop type'),
         },
+        format: formatProperty,
       },
     },
   },
@@ -453,6 +734,7 @@ const tools = [
           description: t('Purchase quantity'),
           default: 1,
         },
+        ...confirmationProperties,
       },
       required: ['itemKey'],
     },
@@ -515,6 +797,7 @@ const tools = [
           type: 'string',
           description: t('Checklist item ID'),
         },
+        ...confirmationProperties,
       },
       required: ['taskId', 'itemId'],
     },
@@ -551,488 +834,3570 @@ const tools = [
       required: ['taskId', 'itemId'],
     },
   },
-];
-
-// Register tools list handler
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: tools,
-  };
-});
-
-// Register tool call handler
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  try {
-    switch (name) {
-      case 'get_user_profile':
-        return await getUserProfile();
-
-      case 'get_tasks':
-        return await getTasks(args.type);
-
-      case 'create_task':
-        return await createTask(args);
-
-      case 'score_task':
-        return await scoreTask(args.taskId, args.direction);
-
-      case 'update_task':
-        return await updateTask(args.taskId, args);
-
-      case 'delete_task':
-        return await deleteTask(args.taskId);
-
-      case 'get_stats':
-        return await getStats();
-
-      case 'buy_reward':
-        return await buyReward(args.key);
-
-      case 'get_inventory':
-        return await getInventory();
-
-      case 'cast_spell':
-        return await castSpell(args.spellId, args.targetId);
-
-      case 'get_tags':
-        return await getTags();
-
-      case 'create_tag':
-        return await createTag(args.name);
-
-      case 'get_pets':
-        return await getPets();
-
-      case 'feed_pet':
-        return await feedPet(args.pet, args.food);
-
-      case 'hatch_pet':
-        return await hatchPet(args.egg, args.hatchingPotion);
-
-      case 'get_mounts':
-        return await getMounts();
-
-      case 'equip_item':
-        return await equipItem(args.type, args.key);
-
-      case 'get_notifications':
-        return await getNotifications();
-
-      case 'read_notification':
-        return await readNotification(args.notificationId);
-
-      case 'get_shop':
-        return await getShop(args.shopType);
-
-      case 'buy_item':
-        return await buyItem(args.itemKey, args.quantity);
-
-      case 'get_task_checklist':
-        return await getTaskChecklist(args.taskId);
-
-      case 'add_checklist_item':
-        return await addChecklistItem(args.taskId, args.text);
-
-      case 'update_checklist_item':
-        return await updateChecklistItem(args.taskId, args.itemId, args);
-
-      case 'delete_checklist_item':
-        return await deleteChecklistItem(args.taskId, args.itemId);
-
-      case 'score_checklist_item':
-        return await scoreChecklistItem(args.taskId, args.itemId);
-
-      default:
-        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
-    }
-  } catch (error) {
-    if (error instanceof McpError) {
-      throw error;
-    }
-
-    const errorMessage = error.response?.data?.message || error.message || 'Unknown error';
-    throw new McpError(ErrorCode.InternalError, `Habitica API error: ${errorMessage}`);
-  }
-});
-
-// Tool implementation functions
-async function getUserProfile() {
-  const response = await habiticaClient.get('/user');
-  const user = response.data.data;
-
-  return {
-    content: [
-      {
-        type: 'text',
-        text: JSON.stringify(user, null, 2),
-      },
-    ],
-  };
-}
-
-async function getTasks(type) {
-  const endpoint = type ? `/tasks/user?type=${type}` : '/tasks/user';
-  const response = await habiticaClient.get(endpoint);
-
-  return {
-    content: [
-      {
-        type: 'text',
-        text: JSON.stringify(response.data, null, 2),
-      },
-    ],
-  };
-}
-
-async function createTask(taskData) {
-  const response = await habiticaClient.post('/tasks/user', taskData);
-  const task = response.data.data;
+  {
+    name: 'get_party',
+    description: t('Get current party overview (leader, members, quest status)'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'get_party_members',
+    description: t('Get current party members'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'get_party_chat',
+    description: t('Get recent party chat messages'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          description: t('Maximum number of messages to return (newest first). Default is 20'),
+          default: 20,
+        },
+        offset: {
+          type: 'integer',
+          minimum: 0,
+          description: t('Number of newest messages to skip, for paging back through history'),
+          default: 0,
+        },
+      },
+    },
+  },
+  {
+    name: 'send_party_message',
+    description: t('Post a message to party chat'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        message: {
+          type: 'string',
+          description: t('Message text'),
+        },
+      },
+      required: ['message'],
+    },
+  },
+  {
+    name: 'invite_to_party',
+    description: t('Invite users to the party by user ID, username or email'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        uuids: {
+          type: 'array',
+          items: { type: 'string' },
+          description: t('User IDs to invite'),
+        },
+        usernames: {
+          type: 'array',
+          items: { type: 'string' },
+          description: t('Usernames to invite (without @)'),
+        },
+        emails: {
+          type: 'array',
+          items: { type: 'string' },
+          description: t('Email addresses to invite'),
+        },
+      },
+    },
+  },
+  {
+    name: 'remove_party_member',
+    description: t('Remove a member from the party (party leader only)'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        memberId: {
+          type: 'string',
+          description: t('Member user ID'),
+        },
+        message: {
+          type: 'string',
+          description: t('Optional message sent to the removed member'),
+        },
+      },
+      required: ['memberId'],
+    },
+  },
+  {
+    name: 'start_quest',
+    description: t('Invite the party to a quest from your quest scrolls'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        questKey: {
+          type: 'string',
+          description: t('Quest key (e.g. "dilatory", "vice1")'),
+        },
+      },
+      required: ['questKey'],
+    },
+  },
+  {
+    name: 'accept_quest',
+    description: t('Accept the pending party quest invitation'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'reject_quest',
+    description: t('Reject the pending party quest invitation'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'force_start_quest',
+    description: t('Force-start the pending party quest without waiting for all members (quest owner or party leader only)'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'abort_quest',
+    description: t('Abort the active party quest (quest owner or party leader only)'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'get_challenges',
+    description: t('List challenges. scope="member" lists challenges you belong to, scope="all" also includes public and group challenges you can join'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        scope: {
+          type: 'string',
+          enum: ['member', 'all'],
+          description: t('Which challenges to list. Default is "member"'),
+          default: 'member',
+        },
+        search: {
+          type: 'string',
+          description: t('Filter by text in challenge name or summary'),
+        },
+        page: {
+          type: 'integer',
+          minimum: 0,
+          description: t('Page number (0-based, 10 challenges per page)'),
+          default: 0,
+        },
+      },
+    },
+  },
+  {
+    name: 'get_challenge',
+    description: t('Get challenge details including its tasks'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        challengeId: {
+          type: 'string',
+          description: t('Challenge ID'),
+        },
+      },
+      required: ['challengeId'],
+    },
+  },
+  {
+    name: 'join_challenge',
+    description: t('Join a challenge (its tasks are added to your task list)'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        challengeId: {
+          type: 'string',
+          description: t('Challenge ID'),
+        },
+      },
+      required: ['challengeId'],
+    },
+  },
+  {
+    name: 'leave_challenge',
+    description: t('Leave a challenge, keeping or removing its tasks'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        challengeId: {
+          type: 'string',
+          description: t('Challenge ID'),
+        },
+        keep: {
+          type: 'string',
+          enum: ['keep-all', 'remove-all'],
+          description: t('Keep the challenge tasks as personal tasks or remove them. Default is "keep-all"'),
+          default: 'keep-all',
+        },
+      },
+      required: ['challengeId'],
+    },
+  },
+  {
+    name: 'create_challenge',
+    description: t('Create a challenge with its own habits, dailies and todos'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        group: {
+          type: 'string',
+          description: t('Group ID hosting the challenge. Use "party" for your party or "habitrpg" for the public Tavern'),
+        },
+        name: {
+          type: 'string',
+          description: t('Challenge name'),
+        },
+        shortName: {
+          type: 'string',
+          description: t('Challenge short name (tag shown on member tasks)'),
+        },
+        summary: {
+          type: 'string',
+          description: t('Short summary'),
+        },
+        description: {
+          type: 'string',
+          description: t('Full description'),
+        },
+        prize: {
+          type: 'integer',
+          minimum: 0,
+          description: t('Gem prize for the winner (paid by you)'),
+          default: 0,
+        },
+        tasks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                enum: ['habit', 'daily', 'todo', 'reward'],
+                description: t('Task type'),
+              },
+              text: {
+                type: 'string',
+                description: t('Task title'),
+              },
+              notes: {
+                type: 'string',
+                description: t('Task notes'),
+              },
+              priority: {
+                type: 'number',
+                enum: [0.1, 1, 1.5, 2],
+                description: t('Difficulty (0.1=easy, 1=medium, 1.5=hard, 2=very hard)'),
+              },
+            },
+            required: ['type', 'text'],
+          },
+          description: t('Challenge tasks'),
+        },
+      },
+      required: ['group', 'name', 'shortName'],
+    },
+  },
+  {
+    name: 'export_challenge_progress',
+    description: t('Export member progress of a challenge as CSV'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        challengeId: {
+          type: 'string',
+          description: t('Challenge ID'),
+        },
+      },
+      required: ['challengeId'],
+    },
+  },
+  {
+    name: 'select_challenge_winner',
+    description: t('Pick the winner of a challenge you own. This closes the challenge and awards the prize'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        challengeId: {
+          type: 'string',
+          description: t('Challenge ID'),
+        },
+        winnerId: {
+          type: 'string',
+          description: t('User ID of the winning member'),
+        },
+      },
+      required: ['challengeId', 'winnerId'],
+    },
+  },
+  {
+    name: 'get_guilds',
+    description: t('List guilds. scope="member" lists guilds you have joined, scope="public" searches public guilds'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        scope: {
+          type: 'string',
+          enum: ['member', 'public'],
+          description: t('Which guilds to list. Default is "member"'),
+          default: 'member',
+        },
+        search: {
+          type: 'string',
+          description: t('Filter public guilds by text in name or summary'),
+        },
+        page: {
+          type: 'integer',
+          minimum: 0,
+          description: t('Page number for public guilds (0-based, 30 guilds per page)'),
+          default: 0,
+        },
+      },
+    },
+  },
+  {
+    name: 'join_guild',
+    description: t('Join a guild'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        groupId: {
+          type: 'string',
+          description: t('Guild ID'),
+        },
+      },
+      required: ['groupId'],
+    },
+  },
+  {
+    name: 'leave_guild',
+    description: t('Leave a guild'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        groupId: {
+          type: 'string',
+          description: t('Guild ID'),
+        },
+        keep: {
+          type: 'string',
+          enum: ['keep-all', 'remove-all'],
+          description: t('Keep or remove tasks of the guild challenges you are in. Default is "keep-all"'),
+          default: 'keep-all',
+        },
+      },
+      required: ['groupId'],
+    },
+  },
+  {
+    name: 'get_guild_chat',
+    description: t('Get guild chat messages (newest first)'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        groupId: {
+          type: 'string',
+          description: t('Guild ID'),
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          description: t('Maximum number of messages to return. Default is 20'),
+          default: 20,
+        },
+        offset: {
+          type: 'integer',
+          minimum: 0,
+          description: t('Number of newest messages to skip, for paging back through history'),
+          default: 0,
+        },
+      },
+      required: ['groupId'],
+    },
+  },
+  {
+    name: 'send_guild_message',
+    description: t('Post a message to guild chat'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        groupId: {
+          type: 'string',
+          description: t('Guild ID'),
+        },
+        message: {
+          type: 'string',
+          description: t('Message text'),
+        },
+      },
+      required: ['groupId', 'message'],
+    },
+  },
+  {
+    name: 'like_chat_message',
+    description: t('Like (or unlike) a guild or party chat message'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        groupId: {
+          type: 'string',
+          description: t('Guild ID, or "party"'),
+        },
+        chatId: {
+          type: 'string',
+          description: t('Chat message ID'),
+        },
+      },
+      required: ['groupId', 'chatId'],
+    },
+  },
+  {
+    name: 'flag_chat_message',
+    description: t('Report a guild or party chat message to moderators'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        groupId: {
+          type: 'string',
+          description: t('Guild ID, or "party"'),
+        },
+        chatId: {
+          type: 'string',
+          description: t('Chat message ID'),
+        },
+        comment: {
+          type: 'string',
+          description: t('Reason for the report'),
+        },
+      },
+      required: ['groupId', 'chatId'],
+    },
+  },
+  {
+    name: 'get_guild_members',
+    description: t('List guild members (30 per page)'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        groupId: {
+          type: 'string',
+          description: t('Guild ID'),
+        },
+        lastId: {
+          type: 'string',
+          description: t('ID of the last member from the previous page'),
+        },
+      },
+      required: ['groupId'],
+    },
+  },
+  {
+    name: 'find_member',
+    description: t('Look up a Habitica member by username or user ID'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        member: {
+          type: 'string',
+          description: t('Username (with or without @) or user ID'),
+        },
+      },
+      required: ['member'],
+    },
+  },
+  {
+    name: 'get_inbox',
+    description: t('Get private messages from your inbox (newest first, 10 per page)'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        page: {
+          type: 'integer',
+          minimum: 0,
+          description: t('Page number (0-based)'),
+          default: 0,
+        },
+      },
+    },
+  },
+  {
+    name: 'send_private_message',
+    description: t('Send a private message to a member'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        to: {
+          type: 'string',
+          description: t('Recipient username (with or without @) or user ID'),
+        },
+        message: {
+          type: 'string',
+          description: t('Message text'),
+        },
+      },
+      required: ['to', 'message'],
+    },
+  },
+  {
+    name: 'delete_private_message',
+    description: t('Delete a private message from your inbox'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        messageId: {
+          type: 'string',
+          description: t('Message ID'),
+        },
+      },
+      required: ['messageId'],
+    },
+  },
+  {
+    name: 'mark_inbox_read',
+    description: t('Mark all private messages as read'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'bulk_tasks',
+    description: t('Run many task operations in one call (create, update, score, delete, add_tag, move). Each operation succeeds or fails on its own and is reported individually'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        operations: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              op: {
+                type: 'string',
+                enum: ['create', 'update', 'score', 'delete', 'add_tag', 'move'],
+                description: t('Operation type'),
+              },
+              taskId: {
+                type: 'string',
+                description: t('Task ID (all operations except create)'),
+              },
+              task: {
+                type: 'object',
+                description: t('Task fields for create/update, same as create_task / update_task arguments'),
+              },
+              direction: {
+                type: 'string',
+                enum: ['up', 'down'],
+                description: t('Score direction for score operations. Default is "up"'),
+              },
+              tag: {
+                type: 'string',
+                description: t('Tag name or ID for add_tag operations'),
+              },
+              position: {
+                type: 'string',
+                enum: ['top', 'bottom'],
+                description: t('Target position for move operations'),
+              },
+            },
+            required: ['op'],
+          },
+          description: t('Operations to run'),
+        },
+        concurrency: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 10,
+          description: t('Maximum number of operations running at the same time. Default is 3'),
+          default: 3,
+        },
+        ...confirmationProperties,
+      },
+      required: ['operations'],
+    },
+  },
+  {
+    name: 'save_task_template',
+    description: t('Save a reusable set of tasks as a template. Strings may use placeholders like {{client}} (filled in when instantiating) and {{date}}, {{date+7d}}, {{date+2w}}, {{date+1m}} (relative to today)'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: t('Template name'),
+        },
+        description: {
+          type: 'string',
+          description: t('What the template is for'),
+        },
+        tasks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              type: {
+                type: 'string',
+                enum: ['habit', 'daily', 'todo', 'reward'],
+                description: t('Task type'),
+              },
+              text: {
+                type: 'string',
+                description: t('Task title'),
+              },
+            },
+            required: ['type', 'text'],
+            description: t('Same fields as create_task: notes, priority, checklist, tags, date, frequency, everyX, repeat, daysOfMonth, weeksOfMonth, startDate'),
+          },
+          description: t('Tasks created by the template'),
+        },
+        overwrite: {
+          type: 'boolean',
+          description: t('Replace an existing template with the same name'),
+          default: false,
+        },
+      },
+      required: ['name', 'tasks'],
+    },
+  },
+  {
+    name: 'list_task_templates',
+    description: t('List saved task templates and the variables they need'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'instantiate_template',
+    description: t('Create all tasks of a saved template, filling in its placeholders'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: t('Template name'),
+        },
+        variables: {
+          type: 'object',
+          additionalProperties: { type: 'string' },
+          description: t('Placeholder values, e.g. {"client": "Acme"}'),
+        },
+      },
+      required: ['name'],
+    },
+  },
+  {
+    name: 'delete_task_template',
+    description: t('Delete a saved task template'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: t('Template name'),
+        },
+      },
+      required: ['name'],
+    },
+  },
+  {
+    name: 'analyze_habits',
+    description: t('Analyze habit and daily trends from task history: weekly and monthly completion rates, current and longest streaks, habit up/down balance, and which tasks are slipping'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        weeks: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 52,
+          description: t('Number of weeks to analyze, ending with the current week. Default is 8'),
+          default: 8,
+        },
+        top: {
+          type: 'integer',
+          minimum: 1,
+          description: t('Number of slipping tasks to list. Default is 5'),
+          default: 5,
+        },
+      },
+    },
+  },
+  {
+    name: 'productivity_report',
+    description: t('Build a productivity report for a day, week or month (or a custom range): tasks completed, XP and gold earned, HP lost, level changes, todos closed vs created and checklist completion'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        period: {
+          type: 'string',
+          enum: ['day', 'week', 'month'],
+          description: t('Report on today, the current week (Monday to today) or the current month. Default is "week"'),
+          default: 'week',
+        },
+        from: {
+          type: 'string',
+          description: t('Custom range start (ISO date or phrase like "last monday"). Overrides period'),
+        },
+        to: {
+          type: 'string',
+          description: t('Custom range end (ISO date or phrase). Default is today'),
+        },
+        format: {
+          type: 'string',
+          enum: ['markdown', 'csv'],
+          description: t('Output format. Default is "markdown"'),
+          default: 'markdown',
+        },
+      },
+    },
+  },
+  {
+    name: 'export_data',
+    description: t('Write a local backup of your account to a file: tasks (including completed todos), tags, checklists, inventory, pets, mounts and profile. CSV backups contain tasks only'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: t('File path to write, e.g. "~/habitica-backup.json". Relative to the backup directory when one is configured'),
+        },
+        format: {
+          type: 'string',
+          enum: ['json', 'csv'],
+          description: t('Backup format. Default is "json"'),
+          default: 'json',
+        },
+        overwrite: {
+          type: 'boolean',
+          description: t('Replace the file if it already exists'),
+          default: false,
+        },
+      },
+      required: ['path'],
+    },
+  },
+  {
+    name: 'import_data',
+    description: t('Import tasks, tags and checklists from a backup written by export_data (JSON or CSV), a Todoist CSV export or a Markdown task list. In Markdown, nested items become checklist entries, "#tag" adds a tag and "!", "!!" or "!!!" sets the difficulty to medium, hard or very hard. Tasks that already exist (same type and text) are skipped. Use dryRun to preview the changes first'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: t('File path to read, e.g. "~/habitica-backup.json". Relative to the backup directory when one is configured'),
+        },
+        content: {
+          type: 'string',
+          description: t('File contents to import instead of a path, e.g. a pasted Markdown note'),
+        },
+        format: {
+          type: 'string',
+          enum: ['auto', 'json', 'csv', 'todoist', 'markdown'],
+          description: t('File format. Default "auto" detects it from the file extension or contents'),
+          default: 'auto',
+        },
+        dryRun: {
+          type: 'boolean',
+          description: t('Only show what would be created, without changing anything'),
+          default: false,
+        },
+      },
+    },
+  },
+  {
+    name: 'get_undo_journal',
+    description: t('List recent task changes recorded in the local undo journal, newest first'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 200,
+          description: t('Number of entries to show. Default is 20'),
+          default: 20,
+        },
+      },
+    },
+  },
+  {
+    name: 'undo_last',
+    description: t('Undo the most recent task change that has not been undone yet (create, update, delete, score or checklist change)'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'undo',
+    description: t('Undo a specific task change from the undo journal'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: t('Journal entry ID from get_undo_journal'),
+        },
+      },
+      required: ['id'],
+    },
+  },
+  {
+    name: 'list_accounts',
+    description: t('List the configured Habitica accounts and which one is active'),
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'switch_account',
+    description: t('Make another configured Habitica account the active one for this session. Tools act on the active account unless they are given an account argument'),
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          enum: [...accounts.keys()],
+          description: t('Account name from list_accounts'),
+        },
+      },
+      required: ['name'],
+    },
+  },
+];
+
+// Every other tool can act on a named account instead of the active one
+const ACCOUNT_TOOLS = ['list_accounts', 'switch_account'];
+
+for (const tool of tools.filter(tool => !ACCOUNT_TOOLS.includes(tool.name))) {
+  tool.inputSchema.properties = {
+    ...tool.inputSchema.properties,
+    account: {
+      type: 'string',
+      enum: [...accounts.keys()],
+      description: t('Habitica account to act on. Defaults to the active account'),
+    },
+  };
+}
+
+// Tools that can't be used, with the reason. They are left out of the tool list.
+const disabledTools = new Map();
+
+for (const [group, names] of Object.entries(TOOL_GROUPS)) {
+  if (!config.toolGroups.includes(group)) {
+    names.forEach(name => disabledTools.set(name, t(`the "${group}" tool group is not enabled in the configuration`)));
+  }
+}
+
+// HTTP clients may be remote and choose the file paths, so backups stay inside
+// backupDir; without one, import_data only takes inline content
+if (config.backupDir) {
+  confineBackupPaths(config.backupDir);
+} else if (config.transport === 'http') {
+  confineBackupPaths(null);
+}
+if (!backupPathsAllowed() && !disabledTools.has('export_data')) {
+  disabledTools.set('export_data', t('in HTTP mode backups can only be written inside a configured backupDir'));
+}
+
+// Tools list handler
+async function listTools() {
+  return {
+    tools: tools.filter(tool => !disabledTools.has(tool.name)),
+  };
+}
+
+// Tool call handler: runs the tool with the requested account as the current one
+async function callTool(request, session) {
+  const { name, arguments: { account, ...args } = {} } = request.params;
+  if (disabledTools.has(name)) {
+    throw new McpError(ErrorCode.MethodNotFound, t(`Tool ${name} is disabled: ${disabledTools.get(name)}`));
+  }
+  return accountContext.run({ session, account: resolveAccount(session, account) }, () => runTool(name, args));
+}
+
+async function runTool(name, args) {
+  try {
+    if (CONFIRMABLE_TOOLS.includes(name)) {
+      const preview = await confirmationPreview(name, args);
+      if (preview) {
+        return preview;
+      }
+    }
+
+    switch (name) {
+      case 'get_user_profile':
+        return await getUserProfile(args.format);
+
+      case 'get_tasks':
+        return args.due ? await getDueTodos(args.due) : await getTasks(args.type, args);
+
+      case 'create_task':
+        return await createTask(args);
+
+      case 'score_task':
+        return await scoreTask(args.taskId, args.direction);
+
+      case 'update_task':
+        return await updateTask(args.taskId, args);
+
+      case 'delete_task':
+        return await deleteTask(args.taskId);
+
+      case 'get_stats':
+        return await getStats(args.format);
+
+      case 'buy_reward':
+        return await buyReward(args.key);
+
+      case 'get_inventory':
+        return await getInventory(args.format);
+
+      case 'cast_spell':
+        return await castSpell(args.spellId, args.targetId);
+
+      case 'get_tags':
+        return await getTags(args.format);
+
+      case 'create_tag':
+        return await createTag(args.name);
+
+      case 'update_tag':
+        return await updateTag(args.tag, args.name);
+
+      case 'delete_tag':
+        return await deleteTag(args.tag);
+
+      case 'reorder_tag':
+        return await reorderTag(args.tag, args.position);
+
+      case 'add_tag_to_task':
+        return await addTagToTask(args.taskId, args.tag, args.createMissing);
+
+      case 'remove_tag_from_task':
+        return await removeTagFromTask(args.taskId, args.tag);
+
+      case 'get_pets':
+        return await getPets(args.format);
+
+      case 'feed_pet':
+        return await feedPet(args.pet, args.food);
+
+      case 'hatch_pet':
+        return await hatchPet(args.egg, args.hatchingPotion);
+
+      case 'get_mounts':
+        return await getMounts(args.format);
+
+      case 'equip_item':
+        return await equipItem(args.type, args.key);
+
+      case 'get_notifications':
+        return await getNotifications(args.format);
+
+      case 'read_notification':
+        return await readNotification(args.notificationId);
+
+      case 'get_shop':
+        return await getShop(args.shopType, args.format);
+
+      case 'buy_item':
+        return await buyItem(args.itemKey, args.quantity);
+
+      case 'get_task_checklist':
+        return await getTaskChecklist(args.taskId);
+
+      case 'add_checklist_item':
+        return await addChecklistItem(args.taskId, args.text);
+
+      case 'update_checklist_item':
+        return await updateChecklistItem(args.taskId, args.itemId, args);
+
+      case 'delete_checklist_item':
+        return await deleteChecklistItem(args.taskId, args.itemId);
+
+      case 'score_checklist_item':
+        return await scoreChecklistItem(args.taskId, args.itemId);
+
+      case 'get_party':
+        return await getParty();
+
+      case 'get_party_members':
+        return await getGroupMembers('party');
+
+      case 'get_party_chat':
+        return await getGroupChat('party', args.limit, args.offset);
+
+      case 'send_party_message':
+        return await sendGroupMessage('party', args.message);
+
+      case 'invite_to_party':
+        return await inviteToParty(args);
+
+      case 'remove_party_member':
+        return await removePartyMember(args.memberId, args.message);
+
+      case 'start_quest':
+        return await startQuest(args.questKey);
+
+      case 'accept_quest':
+        return await questAction('accept');
+
+      case 'reject_quest':
+        return await questAction('reject');
+
+      case 'force_start_quest':
+        return await questAction('force-start');
+
+      case 'abort_quest':
+        return await questAction('abort');
+
+      case 'get_challenges':
+        return await getChallenges(args.scope, args.search, args.page);
+
+      case 'get_challenge':
+        return await getChallenge(args.challengeId);
+
+      case 'join_challenge':
+        return await joinChallenge(args.challengeId);
+
+      case 'leave_challenge':
+        return await leaveChallenge(args.challengeId, args.keep);
+
+      case 'create_challenge':
+        return await createChallenge(args);
+
+      case 'export_challenge_progress':
+        return await exportChallengeProgress(args.challengeId);
+
+      case 'select_challenge_winner':
+        return await selectChallengeWinner(args.challengeId, args.winnerId);
+
+      case 'get_guilds':
+        return await getGuilds(args.scope, args.search, args.page);
+
+      case 'join_guild':
+        return await joinGuild(args.groupId);
+
+      case 'leave_guild':
+        return await leaveGuild(args.groupId, args.keep);
+
+      case 'get_guild_chat':
+        return await getGroupChat(args.groupId, args.limit, args.offset);
+
+      case 'send_guild_message':
+        return await sendGroupMessage(args.groupId, args.message);
+
+      case 'like_chat_message':
+        return await likeChatMessage(args.groupId, args.chatId);
+
+      case 'flag_chat_message':
+        return await flagChatMessage(args.groupId, args.chatId, args.comment);
+
+      case 'get_guild_members':
+        return await getGroupMembers(args.groupId, args.lastId);
+
+      case 'find_member':
+        return await findMember(args.member);
+
+      case 'get_inbox':
+        return await getInbox(args.page);
+
+      case 'send_private_message':
+        return await sendPrivateMessage(args.to, args.message);
+
+      case 'delete_private_message':
+        return await deletePrivateMessage(args.messageId);
+
+      case 'mark_inbox_read':
+        return await markInboxRead();
+
+      case 'bulk_tasks':
+        return await bulkTasks(args.operations, args.concurrency);
+
+      case 'save_task_template':
+        return await saveTaskTemplate(args);
+
+      case 'list_task_templates':
+        return await listTaskTemplates();
+
+      case 'instantiate_template':
+        return await instantiateTemplate(args.name, args.variables);
+
+      case 'delete_task_template':
+        return await deleteTaskTemplate(args.name);
+
+      case 'analyze_habits':
+        return await analyzeHabits(args.weeks, args.top);
+
+      case 'productivity_report':
+        return await productivityReport(args);
+
+      case 'export_data':
+        return await exportData(args.path, args.format, args.overwrite);
+
+      case 'import_data':
+        return await importData(args);
+
+      case 'get_undo_journal':
+        return await getUndoJournal(args.limit);
+
+      case 'undo_last':
+        return await undo();
+
+      case 'undo':
+        return await undo(args.id);
+
+      case 'list_accounts':
+        return listAccounts();
+
+      case 'switch_account':
+        return switchAccount(args.name);
+
+      default:
+        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+    }
+  } catch (error) {
+    if (error instanceof McpError) {
+      throw error;
+    }
+
+    throw new McpError(ErrorCode.InternalError, `Habitica API error: ${apiErrorMessage(error)}`);
+  }
+}
+
+// Resource handlers
+async function listResources() {
+  return {
+    resources: RESOURCES.map(resource => ({ ...resource, name: t(resource.name), description: t(resource.description) })),
+  };
+}
+
+async function listResourceTemplates() {
+  return {
+    resourceTemplates: RESOURCE_TEMPLATES.map(template => ({ ...template, name: t(template.name), description: t(template.description) })),
+  };
+}
+
+async function handleReadResource(request) {
+  const { uri } = request.params;
+  try {
+    return await readResource(uri);
+  } catch (error) {
+    if (error instanceof McpError) {
+      throw error;
+    }
+    throw new McpError(ErrorCode.InternalError, `Habitica API error: ${apiErrorMessage(error)}`);
+  }
+}
+
+// Prompt handlers
+async function listPrompts() {
+  return {
+    prompts: PROMPTS.map(prompt => ({
+      ...prompt,
+      description: t(prompt.description),
+      arguments: prompt.arguments.map(argument => ({ ...argument, description: t(argument.description) })),
+    })),
+  };
+}
+
+async function handleGetPrompt(request) {
+  const { name, arguments: args = {} } = request.params;
+  try {
+    return await getPrompt(name, args);
+  } catch (error) {
+    if (error instanceof McpError) {
+      throw error;
+    }
+    throw new McpError(ErrorCode.InternalError, `Habitica API error: ${apiErrorMessage(error)}`);
+  }
+}
+
+// Sessions of the connected MCP servers. Stdio mode has a single server;
+// HTTP mode creates one per client session.
+const sessions = new Set();
+
+// Create an MCP server with every handler registered and its own session:
+// the client's active account and resource subscriptions
+function createServer() {
+  const server = new Server(
+    {
+      name: 'habitica-mcp-server',
+      version: SERVER_VERSION,
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: {
+          subscribe: true,
+        },
+        prompts: {},
+      },
+    }
+  );
+  const session = { server, activeAccount: accountConfig.defaultAccount, subscriptions: new Set() };
+  const { subscriptions } = session;
+
+  // Resources and prompts read the session's active account
+  const inSession = handler => request => accountContext.run({ session, account: accounts.get(session.activeAccount) }, () => handler(request));
+
+  server.setRequestHandler(ListToolsRequestSchema, listTools);
+  server.setRequestHandler(CallToolRequestSchema, request => callTool(request, session));
+  server.setRequestHandler(ListResourcesRequestSchema, listResources);
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, listResourceTemplates);
+  server.setRequestHandler(ReadResourceRequestSchema, inSession(handleReadResource));
+  server.setRequestHandler(ListPromptsRequestSchema, listPrompts);
+  server.setRequestHandler(GetPromptRequestSchema, inSession(handleGetPrompt));
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    if (!parseResourceUri(request.params.uri)) {
+      throw new McpError(ErrorCode.InvalidParams, t(`Unknown resource: ${request.params.uri}`));
+    }
+    subscriptions.add(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  return session;
+}
+
+// Connect a new MCP server to a transport and track its session until the transport closes
+async function connectServer(transport) {
+  const session = createServer();
+  session.server.onclose = () => sessions.delete(session);
+  sessions.add(session);
+  await session.server.connect(transport);
+  return session.server;
+}
+
+function sendResourceUpdates(session, prefixes) {
+  for (const uri of session.subscriptions) {
+    if (prefixes.some(prefix => uri.startsWith(prefix))) {
+      session.server.sendResourceUpdated({ uri }).catch(error => console.error(t(`Could not notify about ${uri}: ${error.message}`)));
+    }
+  }
+}
+
+// Changes are collected briefly so a batch of requests sends one notification
+// per resource. Keyed by account name.
+const changedResources = new Map();
+let resourceNotifyTimer = null;
+
+function notifyResourceChanges(accountName, prefixes) {
+  if (prefixes.length === 0) {
+    return;
+  }
+  if (!changedResources.has(accountName)) {
+    changedResources.set(accountName, new Set());
+  }
+  prefixes.forEach(prefix => changedResources.get(accountName).add(prefix));
+  if (resourceNotifyTimer) {
+    return;
+  }
+  resourceNotifyTimer = setTimeout(() => {
+    resourceNotifyTimer = null;
+    const changed = new Map([...changedResources].map(([name, set]) => [name, [...set]]));
+    changedResources.clear();
+    for (const session of sessions) {
+      sendResourceUpdates(session, changed.get(session.activeAccount) || []);
+    }
+  }, 200);
+}
+
+function apiErrorMessage(error) {
+  const message = error.response?.data?.message || error.message || 'Unknown error';
+  const rateLimit = error.rateLimit;
+  if (!rateLimit) {
+    return message;
+  }
+
+  const details = [];
+  if (rateLimit.retries > 0) {
+    details.push(t(`after ${rateLimit.retries} retries`));
+  }
+  if (error.response?.status === 429 || rateLimit.remaining === 0) {
+    details.push(t(`rate limit: ${describeRateLimit(rateLimit)}`));
+  }
+  return details.length > 0 ? `${message} (${details.join('; ')})` : message;
+}
+
+async function fetchTask(taskId) {
+  const response = await habiticaClient.get(`/tasks/${taskId}`);
+  return response.data.data;
+}
+
+function findChecklistItem(task, itemId) {
+  const item = (task.checklist || []).find(entry => entry.id === itemId);
+  if (!item) {
+    throw new McpError(ErrorCode.InvalidParams, t(`Checklist item not found: ${itemId}`));
+  }
+  return item;
+}
+
+// The change has already been made, so a journal write failure is only logged
+async function recordUndo(entry) {
+  try {
+    await appendEntry({ ...entry, account: currentAccount().name });
+  } catch (error) {
+    console.error(t(`Could not write undo journal: ${error.message}`));
+  }
+}
+
+// Previews for confirmable tools: each returns the lines describing the effect
+async function getUserGoldAndItems() {
+  return userCache.get(['stats', 'balance', 'items']);
+}
+
+function goldLine(cost, gold) {
+  if (cost === undefined) {
+    return t(`Cost: unknown (you have ${Math.floor(gold)} gold)`);
+  }
+  const left = gold - cost;
+  return left >= 0
+    ? t(`Cost: ${cost} gold (you have ${Math.floor(gold)}, ${Math.floor(left)} left afterwards)`)
+    : t(`Cost: ${cost} gold, but you only have ${Math.floor(gold)}. Habitica will refuse the purchase`);
+}
+
+function describeTaskForPreview(task) {
+  const details = [`ID: ${task.id}`];
+  if (task.checklist?.length > 0) details.push(t(`${task.checklist.length} checklist items`));
+  if (task.streak) details.push(t(`streak ${task.streak}`));
+  return `[${task.type}] "${task.text}" (${details.join(', ')})`;
+}
+
+const confirmationPreviews = {
+  delete_task: async ({ taskId }) => {
+    return [t(`Delete task ${describeTaskForPreview(await fetchTask(taskId))}`)];
+  },
+
+  delete_checklist_item: async ({ taskId, itemId }) => {
+    const task = await fetchTask(taskId);
+    const item = findChecklistItem(task, itemId);
+    return [t(`Delete checklist item "${item.text}" from task "${task.text}" (${task.checklist.length - 1} items left)`)];
+  },
+
+  buy_reward: async ({ key }) => {
+    const [user, rewardsResponse] = await Promise.all([
+      getUserGoldAndItems(),
+      habiticaClient.get('/tasks/user?type=rewards'),
+    ]);
+    let item = rewardsResponse.data.data.find(reward => reward.id === key || reward.alias === key);
+    if (!item) {
+      const gearResponse = await habiticaClient.get('/user/inventory/buy');
+      item = gearResponse.data.data.find(gear => gear.key === key);
+    }
+    return [
+      t(`Buy reward "${item?.text || key}"`),
+      goldLine(item?.value, user.stats.gp),
+    ];
+  },
+
+  buy_item: async ({ itemKey, quantity = 1 }) => {
+    const [user, shopResponse] = await Promise.all([
+      getUserGoldAndItems(),
+      habiticaClient.get('/shops/market'),
+    ]);
+    const item = (shopResponse.data.data.categories || [])
+      .flatMap(category => category.items || [])
+      .find(entry => entry.key === itemKey);
+    const lines = [t(`Buy ${quantity} × ${item?.text || itemKey}`)];
+
+    if (item?.currency === 'gems') {
+      const gems = (user.balance || 0) * 4;
+      const cost = item.value * quantity;
+      lines.push(gems >= cost
+        ? t(`Cost: ${cost} gems (you have ${gems}, ${gems - cost} left afterwards)`)
+        : t(`Cost: ${cost} gems, but you only have ${gems}. Habitica will refuse the purchase`));
+    } else {
+      lines.push(goldLine(item ? item.value * quantity : undefined, user.stats.gp));
+    }
+    if (item?.purchaseType) {
+      const owned = user.items?.[item.purchaseType]?.[itemKey] || 0;
+      lines.push(t(`You own ${owned}, ${owned + quantity} afterwards`));
+    }
+    return lines;
+  },
+
+  hatch_pet: async ({ egg, hatchingPotion }) => {
+    const { items = {} } = await getUserGoldAndItems();
+    const pet = `${egg}-${hatchingPotion}`;
+    const eggs = items.eggs?.[egg] || 0;
+    const potions = items.hatchingPotions?.[hatchingPotion] || 0;
+    const lines = [
+      t(`Hatch ${pet}: uses 1 ${egg} egg (you have ${eggs}) and 1 ${hatchingPotion} hatching potion (you have ${potions})`),
+    ];
+    if (items.pets?.[pet] > 0) lines.push(t(`Warning: you already own ${pet}. Habitica will refuse to hatch it again`));
+    if (eggs < 1 || potions < 1) lines.push(t('Warning: not enough eggs or potions. Habitica will refuse'));
+    return lines;
+  },
+
+  feed_pet: async ({ pet, food }) => {
+    const { items = {} } = await getUserGoldAndItems();
+    const foodCount = items.food?.[food] || 0;
+    const lines = [t(`Feed ${pet} 1 ${food} (you have ${foodCount}, ${Math.max(0, foodCount - 1)} left afterwards)`)];
+    if (items.pets?.[pet] > 0) {
+      lines.push(t(`Current fullness: ${items.pets[pet]}/50. At 50 the pet becomes a mount`));
+    } else {
+      lines.push(t(`Warning: you don't have ${pet} as a pet. Habitica will refuse`));
+    }
+    if (foodCount < 1) lines.push(t(`Warning: you have no ${food}. Habitica will refuse`));
+    return lines;
+  },
+
+  bulk_tasks: async ({ operations }) => {
+    requireOperations(operations);
+    const counts = {};
+    for (const operation of operations) {
+      counts[operation.op] = (counts[operation.op] || 0) + 1;
+    }
+    const lines = [t(`Run ${operations.length} operations: ${Object.entries(counts).map(([op, count]) => `${count} ${op}`).join(', ')}`)];
+
+    const deletes = operations.filter(operation => operation.op === 'delete');
+    if (deletes.length > 0) {
+      const response = await habiticaClient.get('/tasks/user');
+      const tasks = new Map(response.data.data.map(task => [task.id, task]));
+      for (const operation of deletes) {
+        const task = tasks.get(operation.taskId);
+        lines.push(t(`Delete task ${task ? describeTaskForPreview(task) : `(ID: ${operation.taskId})`}`));
+      }
+    }
+    return lines;
+  },
+};
+
+// Returns a preview response when the call needs confirmation, otherwise null
+async function confirmationPreview(name, args) {
+  // Tokens are bound to the account too, so switching accounts can't redirect a confirmation
+  const boundArgs = { ...args, account: currentAccount().name };
+  if (args.confirmationToken) {
+    if (!consumeToken(name, boundArgs, args.confirmationToken)) {
+      throw new McpError(ErrorCode.InvalidParams, t('Confirmation token is invalid, expired, already used or was issued for different arguments. Call again without it to get a new preview'));
+    }
+    return null;
+  }
+
+  // In safe mode, bulk operations only need confirmation when they delete tasks
+  const safeModeApplies = config.safeMode
+    && (name !== 'bulk_tasks' || (args.operations || []).some(operation => operation?.op === 'delete'));
+  if (!args.dryRun && !safeModeApplies) {
+    return null;
+  }
+
+  const lines = await confirmationPreviews[name](args);
+  const token = issueToken(name, boundArgs);
+  const minutes = TOKEN_TTL_MS / 60000;
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: [
+          t('Preview, nothing has been changed:'),
+          ...lines,
+          '',
+          t(`To go ahead, call ${name} again with the same arguments and confirmationToken "${token}" (valid for ${minutes} minutes)`),
+        ].join('\n'),
+      },
+    ],
+  };
+}
+
+// Tool implementation functions
+async function getUserProfile(format) {
+  const user = await userCache.get();
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: formatData('profile', user, format),
+      },
+    ],
+  };
+}
+
+const TASK_SORT_FIELDS = {
+  value: task => task.value ?? 0,
+  difficulty: task => task.priority ?? 0,
+  date: task => (task.date ? new Date(task.date).getTime() : Infinity),
+  text: task => (task.text || '').toLowerCase(),
+  createdAt: task => new Date(task.createdAt).getTime(),
+  updatedAt: task => new Date(task.updatedAt).getTime(),
+};
+
+const TASK_FILTER_KEYS = ['tag', 'search', 'completed', 'dueToday', 'difficulty', 'minValue', 'maxValue', 'sortBy', 'limit'];
+
+function findTag(tags, tagNameOrId) {
+  const value = tagNameOrId.trim().toLowerCase();
+  return tags.find(item => item.id === tagNameOrId || item.name.toLowerCase() === value);
+}
+
+// Map tag names or IDs to tag IDs, optionally creating tags that don't exist
+// `tags` may be a list already fetched; created tags are added to it
+async function resolveTagIds(tagNamesOrIds, { createMissing = false, tags } = {}) {
+  tags = tags || (await habiticaClient.get('/tags')).data.data;
+
+  const ids = [];
+  for (const tagNameOrId of tagNamesOrIds) {
+    let tag = findTag(tags, tagNameOrId);
+    if (!tag && createMissing && !UUID_PATTERN.test(tagNameOrId)) {
+      tag = await createTagRecord(tagNameOrId.trim());
+      tags.push(tag);
+    }
+    if (!tag) {
+      throw new McpError(ErrorCode.InvalidParams, t(`Tag not found: ${tagNameOrId}`));
+    }
+    ids.push(tag.id);
+  }
+  return ids;
+}
+
+async function resolveTagId(tagNameOrId, options) {
+  const [tagId] = await resolveTagIds([tagNameOrId], options);
+  return tagId;
+}
+
+function filterTasks(tasks, { tagId, search, completed, dueToday, difficulty, minValue, maxValue }) {
+  const query = search?.toLowerCase();
+
+  return tasks.filter(task => {
+    if (tagId && !(task.tags || []).includes(tagId)) return false;
+    if (completed !== undefined && Boolean(task.completed) !== completed) return false;
+    if (dueToday !== undefined && (task.type !== 'daily' || Boolean(task.isDue) !== dueToday)) return false;
+    if (difficulty !== undefined && task.priority !== difficulty) return false;
+    if (minValue !== undefined && (task.value ?? 0) < minValue) return false;
+    if (maxValue !== undefined && (task.value ?? 0) > maxValue) return false;
+    if (query) {
+      const haystack = [task.text, task.notes, ...(task.checklist || []).map(item => item.text)]
+        .filter(Boolean)
+        .join('\n')
+        .toLowerCase();
+      if (!haystack.includes(query)) return false;
+    }
+    return true;
+  });
+}
+
+function sortTasks(tasks, sortBy, order = 'asc') {
+  const key = TASK_SORT_FIELDS[sortBy];
+  const direction = order === 'desc' ? -1 : 1;
+  return [...tasks].sort((a, b) => {
+    const left = key(a);
+    const right = key(b);
+    if (left < right) return -direction;
+    if (left > right) return direction;
+    return 0;
+  });
+}
+
+async function getTasks(type, options = {}) {
+  const endpoint = type ? `/tasks/user?type=${type}` : '/tasks/user';
+  const filtered = TASK_FILTER_KEYS.some(key => options[key] !== undefined);
+
+  if (!filtered) {
+    const response = await habiticaClient.get(endpoint);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: formatData('tasks', response.data.data, options.format, response.data),
+        },
+      ],
+    };
+  }
+
+  // Completed todos are only returned by a dedicated task type
+  const includeCompletedTodos = options.completed === true && (!type || type === 'todos');
+  const [response, completedTodosResponse, tagId] = await Promise.all([
+    habiticaClient.get(endpoint),
+    includeCompletedTodos ? habiticaClient.get('/tasks/user?type=completedTodos') : null,
+    options.tag ? resolveTagId(options.tag) : undefined,
+  ]);
+
+  let tasks = response.data.data;
+  if (completedTodosResponse) {
+    tasks = tasks.concat(completedTodosResponse.data.data);
+  }
+  tasks = filterTasks(tasks, { ...options, tagId });
+  if (options.sortBy) {
+    tasks = sortTasks(tasks, options.sortBy, options.order);
+  }
+  const total = tasks.length;
+  if (options.limit) {
+    tasks = tasks.slice(0, options.limit);
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Found ${total} matching tasks (showing ${tasks.length})`),
+      },
+      {
+        type: 'text',
+        text: formatData('tasks', tasks, options.format),
+      },
+    ],
+  };
+}
+
+async function getDayPreferences() {
+  const user = await userCache.get(['preferences.timezoneOffset', 'preferences.dayStart']);
+  return user.preferences || {};
+}
+
+// Replace a natural-language or ISO due date with the timestamp Habitica expects
+async function resolveTaskDate(taskData) {
+  if (taskData.date === undefined) {
+    return taskData;
+  }
+  if (taskData.date === null || ['', 'none', 'null'].includes(String(taskData.date).trim().toLowerCase())) {
+    return { ...taskData, date: null };
+  }
+
+  // Full timestamps don't depend on the user's day settings
+  const preferences = /^\d{4}-\d{2}-\d{2}T/.test(String(taskData.date).trim()) ? {} : await getDayPreferences();
+  try {
+    return { ...taskData, date: resolveDueDate(taskData.date, preferences).toISOString() };
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, t(error.message));
+  }
+}
+
+// Resolve due dates and tag names before a task is created
+async function prepareNewTask(taskData) {
+  const prepared = await resolveTaskDate(taskData);
+  if (prepared.tags?.length > 0 && !prepared.tags.every(tag => UUID_PATTERN.test(tag))) {
+    return { ...prepared, tags: await resolveTagIds(prepared.tags, { createMissing: true }) };
+  }
+  return prepared;
+}
+
+function formatDueDate(task, timezoneOffset = 0) {
+  return task.date ? formatDay(dayIndexOf(task.date, timezoneOffset)) : null;
+}
+
+async function getDueTodos(due) {
+  const [tasksResponse, preferences] = await Promise.all([
+    habiticaClient.get('/tasks/user?type=todos'),
+    getDayPreferences(),
+  ]);
+  const timezoneOffset = preferences.timezoneOffset || 0;
+  const today = userToday(preferences);
+  const weekEnd = endOfWeek(today);
+
+  const groups = { overdue: [], today: [], week: [] };
+  for (const task of tasksResponse.data.data) {
+    if (task.completed || !task.date) continue;
+    const day = dayIndexOf(task.date, timezoneOffset);
+    if (day < today) groups.overdue.push(task);
+    else if (day === today) groups.today.push(task);
+    else if (day <= weekEnd) groups.week.push(task);
+  }
+
+  const titles = {
+    overdue: t('Overdue'),
+    today: t('Due today'),
+    week: t('Due later this week'),
+  };
+  const sections = (due === 'all' ? ['overdue', 'today', 'week'] : [due]).map(key => {
+    const tasks = groups[key].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const lines = tasks.map(task => `○ ${task.text} (due: ${formatDueDate(task, timezoneOffset)}, ID: ${task.id})`);
+    return `${titles[key]} (${tasks.length}):\n${lines.length > 0 ? lines.join('\n') : t('None')}`;
+  });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: sections.join('\n\n'),
+      },
+    ],
+  };
+}
+
+async function createTaskRecord(taskData) {
+  const response = await habiticaClient.post('/tasks/user', await prepareNewTask(taskData));
+  return response.data.data;
+}
+
+async function createTask(taskData) {
+  const task = await createTaskRecord(taskData);
+  await recordUndo({ tool: 'create_task', taskId: task.id, summary: t(`created [${task.type}] "${task.text}"`) });
+  const due = task.date ? t(`, due: ${task.date}`) : '';
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Successfully created task: ${task.text} (ID: ${task.id}${due})`,
+      },
+    ],
+  };
+}
+
+async function scoreTask(taskId, direction = 'up') {
+  const before = await fetchTask(taskId);
+  const response = await habiticaClient.post(`/tasks/${taskId}/score/${direction}`);
+  const result = response.data.data;
+  await recordUndo({
+    tool: 'score_task',
+    taskId,
+    direction,
+    summary: t(`scored [${before.type}] "${before.text}" ${direction}`),
+    before: { type: before.type, completed: before.completed, value: before.value },
+  });
+
+  let message = `Task completed! `;
+  if (result.exp) message += `Gained ${result.exp} XP `;
+  if (result.gp) message += `Gained ${result.gp} gold `;
+  if (result.lvl) message += `Leveled up to ${result.lvl}! `;
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: message,
+      },
+    ],
+  };
+}
+
+async function updateTask(taskId, updates) {
+  const before = await fetchTask(taskId);
+  const response = await habiticaClient.put(`/tasks/${taskId}`, await resolveTaskDate(updates));
+  const task = response.data.data;
+  const fields = Object.keys(updates).filter(field => field !== 'taskId');
+  await recordUndo({
+    tool: 'update_task',
+    taskId,
+    summary: t(`updated ${fields.join(', ')} on "${before.text}"`),
+    before: Object.fromEntries(fields.map(field => [field, before[field] ?? null])),
+  });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Successfully updated task: ${task.text}`,
+      },
+    ],
+  };
+}
+
+async function deleteTask(taskId) {
+  const before = await fetchTask(taskId);
+  await habiticaClient.delete(`/tasks/${taskId}`);
+  await recordUndo({ tool: 'delete_task', taskId, summary: t(`deleted [${before.type}] "${before.text}"`), before: restorableTask(before) });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Successfully deleted task (ID: ${taskId})`,
+      },
+    ],
+  };
+}
+
+async function getStats(format) {
+  const user = await userCache.get(['stats']);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: formatData('stats', user.stats, format),
+      },
+    ],
+  };
+}
+
+async function buyReward(key) {
+  const response = await habiticaClient.post(`/user/buy/${key}`);
+  const result = response.data.data;
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Successfully bought reward! Remaining gold: ${result.gp}`,
+      },
+    ],
+  };
+}
+
+async function getInventory(format) {
+  const user = await userCache.get(['items']);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: formatData('inventory', user.items, format),
+      },
+    ],
+  };
+}
+
+async function castSpell(spellId, targetId) {
+  const endpoint = targetId ? `/user/class/cast/${spellId}?targetId=${targetId}` : `/user/class/cast/${spellId}`;
+  const response = await habiticaClient.post(endpoint);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Successfully cast spell: ${spellId}`,
+      },
+    ],
+  };
+}
+
+async function getTags(format) {
+  const response = await habiticaClient.get('/tags');
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: formatData('tags', response.data.data, format, response.data),
+      },
+    ],
+  };
+}
+
+async function createTagRecord(name) {
+  const response = await habiticaClient.post('/tags', { name });
+  return response.data.data;
+}
+
+async function createTag(name) {
+  const tag = await createTagRecord(name);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Successfully created tag: ${tag.name} (ID: ${tag.id})`,
+      },
+    ],
+  };
+}
+
+async function updateTag(tagNameOrId, name) {
+  const tagId = await resolveTagId(tagNameOrId);
+  const response = await habiticaClient.put(`/tags/${tagId}`, { name });
+  const tag = response.data.data;
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Successfully renamed tag to: ${tag.name} (ID: ${tag.id})`),
+      },
+    ],
+  };
+}
+
+async function deleteTag(tagNameOrId) {
+  const tagId = await resolveTagId(tagNameOrId);
+  await habiticaClient.delete(`/tags/${tagId}`);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Successfully deleted tag (ID: ${tagId})`),
+      },
+    ],
+  };
+}
+
+async function reorderTag(tagNameOrId, position) {
+  const tagId = await resolveTagId(tagNameOrId);
+  await habiticaClient.post('/reorder-tags', { tagId, to: position });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Successfully moved tag to position ${position} (ID: ${tagId})`),
+      },
+    ],
+  };
+}
+
+async function addTagToTask(taskId, tagNameOrId, createMissing = false) {
+  const tagId = await resolveTagId(tagNameOrId, { createMissing });
+  await habiticaClient.post(`/tasks/${taskId}/tags/${tagId}`);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Successfully added tag ${tagNameOrId} to task (ID: ${taskId})`),
+      },
+    ],
+  };
+}
+
+async function removeTagFromTask(taskId, tagNameOrId) {
+  const tagId = await resolveTagId(tagNameOrId);
+  await habiticaClient.delete(`/tasks/${taskId}/tags/${tagId}`);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Successfully removed tag ${tagNameOrId} from task (ID: ${taskId})`),
+      },
+    ],
+  };
+}
+
+async function getPets(format) {
+  const user = await userCache.get(['items']);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: formatData('pets', user.items, format, user.items.pets),
+      },
+    ],
+  };
+}
+
+async function feedPet(pet, food) {
+  const response = await habiticaClient.post(`/user/feed/${pet}/${food}`);
+  const result = response.data.data;
+
+  let message = `Successfully fed pet ${pet}! `;
+  if (result.message) {
+    message += result.message;
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: message,
+      },
+    ],
+  };
+}
+
+async function hatchPet(egg, hatchingPotion) {
+  const response = await habiticaClient.post(`/user/hatch/${egg}/${hatchingPotion}`);
+  const result = response.data.data;
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Successfully hatched pet! Got ${egg}-${hatchingPotion}`,
+      },
+    ],
+  };
+}
+
+async function getMounts(format) {
+  const user = await userCache.get(['items']);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: formatData('mounts', user.items, format, user.items.mounts),
+      },
+    ],
+  };
+}
+
+async function equipItem(type, key) {
+  const response = await habiticaClient.post(`/user/equip/${type}/${key}`);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Successfully equipped ${type}: ${key}`,
+      },
+    ],
+  };
+}
+
+async function getNotifications(format) {
+  const response = await habiticaClient.get('/notifications');
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: formatData('notifications', response.data.data, format, response.data),
+      },
+    ],
+  };
+}
+
+async function readNotification(notificationId) {
+  await habiticaClient.post(`/notifications/${notificationId}/read`);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Successfully marked notification as read (ID: ${notificationId})`,
+      },
+    ],
+  };
+}
+
+async function getShop(shopType = 'market', format) {
+  const response = await habiticaClient.get(`/shops/${shopType}`);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: formatData('shop', response.data.data, format, response.data),
+      },
+    ],
+  };
+}
+
+async function buyItem(itemKey, quantity = 1) {
+  const response = await habiticaClient.post(`/user/buy/${itemKey}`, { quantity });
+  const result = response.data.data;
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Successfully bought ${itemKey} x${quantity}! Remaining gold: ${result.gp}`,
+      },
+    ],
+  };
+}
+
+async function getTaskChecklist(taskId) {
+  const response = await habiticaClient.get(`/tasks/${taskId}`);
+  const task = response.data.data;
+  const checklist = task.checklist || [];
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Task: ${task.text}\nChecklist items (${checklist.length}):`),
+      },
+      {
+        type: 'text',
+        text: checklist.length > 0
+          ? checklist.map(item => `${item.completed ? '✓' : '○'} ${item.text} (ID: ${item.id})`).join('\n')
+          : t('No checklist items found'),
+      },
+    ],
+  };
+}
+
+async function addChecklistItem(taskId, text) {
+  const response = await habiticaClient.post(`/tasks/${taskId}/checklist`, { text });
+  const task = response.data.data;
+  const item = task.checklist?.[task.checklist.length - 1] || task;
+  await recordUndo({ tool: 'add_checklist_item', taskId, itemId: item.id, summary: t(`added checklist item "${item.text}"`) });
 
   return {
     content: [
       {
         type: 'text',
-        text: `Successfully created task: ${task.text} (ID: ${task.id})`,
+        text: t(`Successfully added checklist item: ${item.text} (ID: ${item.id})`),
       },
     ],
   };
 }
 
-async function scoreTask(taskId, direction = 'up') {
-  const response = await habiticaClient.post(`/tasks/${taskId}/score/${direction}`);
-  const result = response.data.data;
+async function updateChecklistItem(taskId, itemId, updates) {
+  const before = findChecklistItem(await fetchTask(taskId), itemId);
+  const response = await habiticaClient.put(`/tasks/${taskId}/checklist/${itemId}`, updates);
+  const item = response.data.data;
+  await recordUndo({
+    tool: 'update_checklist_item',
+    taskId,
+    itemId,
+    summary: t(`updated checklist item "${before.text}"`),
+    before: { text: before.text, completed: before.completed },
+  });
 
-  let message = `Task completed! `;
-  if (result.exp) message += `Gained ${result.exp} XP `;
-  if (result.gp) message += `Gained ${result.gp} gold `;
-  if (result.lvl) message += `Leveled up to ${result.lvl}! `;
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Successfully updated checklist item: ${item.text}`),
+      },
+    ],
+  };
+}
+
+async function deleteChecklistItem(taskId, itemId) {
+  const before = findChecklistItem(await fetchTask(taskId), itemId);
+  await habiticaClient.delete(`/tasks/${taskId}/checklist/${itemId}`);
+  await recordUndo({
+    tool: 'delete_checklist_item',
+    taskId,
+    itemId,
+    summary: t(`deleted checklist item "${before.text}"`),
+    before: { text: before.text, completed: before.completed },
+  });
 
   return {
     content: [
       {
         type: 'text',
-        text: message,
+        text: t(`Successfully deleted checklist item (ID: ${itemId})`),
       },
     ],
   };
 }
 
-async function updateTask(taskId, updates) {
-  const response = await habiticaClient.put(`/tasks/${taskId}`, updates);
-  const task = response.data.data;
+async function scoreChecklistItem(taskId, itemId) {
+  const before = findChecklistItem(await fetchTask(taskId), itemId);
+  const response = await habiticaClient.post(`/tasks/${taskId}/checklist/${itemId}/score`);
+  const item = response.data.data;
+  await recordUndo({
+    tool: 'score_checklist_item',
+    taskId,
+    itemId,
+    summary: t(`${before.completed ? 'unchecked' : 'checked'} checklist item "${before.text}"`),
+  });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Successfully scored checklist item: ${item.text} (completed: ${item.completed})`),
+      },
+    ],
+  };
+}
+
+function formatMember(member) {
+  const name = member.profile?.name || member.auth?.local?.username || member._id || member.id;
+  const username = member.auth?.local?.username ? ` (@${member.auth.local.username})` : '';
+  const stats = member.stats;
+  const details = stats
+    ? ` - Lv ${stats.lvl}${stats.class ? ` ${stats.class}` : ''} HP ${Math.round(stats.hp)}/${stats.maxHealth || 50}`
+    : '';
+  return `${name}${username}${details} (ID: ${member._id || member.id})`;
+}
+
+function formatQuest(quest) {
+  if (!quest || !quest.key) {
+    return t('No quest');
+  }
+
+  const members = quest.members || {};
+  const accepted = Object.values(members).filter(status => status === true).length;
+  const pending = Object.values(members).filter(status => status === null).length;
+
+  if (!quest.active) {
+    return t(`Pending invitation: ${quest.key} (accepted: ${accepted}, waiting: ${pending})`);
+  }
+
+  const progress = quest.progress || {};
+  let message = t(`Active: ${quest.key} (participants: ${accepted})`);
+  if (typeof progress.hp === 'number') {
+    message += t(`, boss HP: ${Math.round(progress.hp)}`);
+  }
+  if (progress.collect && Object.keys(progress.collect).length > 0) {
+    const collected = Object.entries(progress.collect).map(([item, count]) => `${item}: ${count}`).join(', ');
+    message += t(`, collected: ${collected}`);
+  }
+  if (progress.up) {
+    message += t(`, pending damage: ${round(progress.up)}`);
+  }
+  return message;
+}
+
+async function getParty() {
+  const response = await habiticaClient.get('/groups/party');
+  const party = response.data.data;
+  const leader = party.leader?.profile?.name || party.leader?._id || party.leader;
+
+  const lines = [
+    t(`Party: ${party.name} (ID: ${party._id || party.id})`),
+    t(`Leader: ${leader}`),
+    t(`Members: ${party.memberCount}`),
+    t(`Quest: ${formatQuest(party.quest)}`),
+  ];
+  if (party.summary || party.description) {
+    lines.push(t(`Description: ${party.summary || party.description}`));
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: lines.join('\n'),
+      },
+    ],
+  };
+}
+
+async function getGroupMembers(groupId, lastId) {
+  const params = new URLSearchParams({ includeAllPublicFields: 'true' });
+  if (lastId) params.set('lastId', lastId);
+
+  const response = await habiticaClient.get(`/groups/${groupId}/members?${params}`);
+  const members = response.data.data;
+
+  const content = [
+    {
+      type: 'text',
+      text: t(`${groupId === 'party' ? 'Party' : 'Group'} members (${members.length}):`),
+    },
+    {
+      type: 'text',
+      text: members.map(formatMember).join('\n'),
+    },
+  ];
+  // Habitica pages members 30 at a time
+  if (members.length >= 30) {
+    content.push({
+      type: 'text',
+      text: t(`More members may be available. Use lastId=${members[members.length - 1]._id || members[members.length - 1].id} to fetch the next page`),
+    });
+  }
+
+  return { content };
+}
+
+function formatChatMessage(msg) {
+  const likes = msg.likes ? Object.values(msg.likes).filter(Boolean).length : 0;
+  const author = msg.user || msg.username || 'System';
+  return `[${new Date(msg.timestamp).toISOString()}] ${author}: ${msg.text}${likes > 0 ? ` (♥ ${likes})` : ''} (ID: ${msg.id})`;
+}
+
+async function getGroupChat(groupId, limit = 20, offset = 0) {
+  const response = await habiticaClient.get(`/groups/${groupId}/chat`);
+  const allMessages = response.data.data;
+  const messages = allMessages.slice(offset, offset + limit);
+
+  const content = [
+    {
+      type: 'text',
+      text: messages.length > 0
+        ? messages.map(formatChatMessage).join('\n')
+        : t('No chat messages found'),
+    },
+  ];
+  if (offset + limit < allMessages.length) {
+    content.push({
+      type: 'text',
+      text: t(`Showing messages ${offset + 1}-${offset + messages.length} of ${allMessages.length}. Use offset=${offset + limit} for older messages`),
+    });
+  }
+
+  return { content };
+}
+
+async function sendGroupMessage(groupId, message) {
+  const response = await habiticaClient.post(`/groups/${groupId}/chat`, { message });
+  const sent = response.data.data.message;
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Successfully posted message to ${groupId === 'party' ? 'party' : 'group'} chat (ID: ${sent?.id})`),
+      },
+    ],
+  };
+}
+
+async function inviteToParty({ uuids = [], usernames = [], emails = [] }) {
+  if (uuids.length + usernames.length + emails.length === 0) {
+    throw new McpError(ErrorCode.InvalidParams, t('Provide at least one user ID, username or email to invite'));
+  }
+
+  const body = {};
+  if (uuids.length > 0) body.uuids = uuids;
+  if (usernames.length > 0) body.usernames = usernames;
+  if (emails.length > 0) body.emails = emails.map(email => ({ email }));
+
+  await habiticaClient.post('/groups/party/invite', body);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Successfully sent ${uuids.length + usernames.length + emails.length} party invitation(s)`),
+      },
+    ],
+  };
+}
+
+async function removePartyMember(memberId, message) {
+  const endpoint = message
+    ? `/groups/party/removeMember/${memberId}?message=${encodeURIComponent(message)}`
+    : `/groups/party/removeMember/${memberId}`;
+  await habiticaClient.post(endpoint);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Successfully removed member from party (ID: ${memberId})`),
+      },
+    ],
+  };
+}
+
+async function startQuest(questKey) {
+  const response = await habiticaClient.post(`/groups/party/quests/invite/${questKey}`);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Successfully invited party to quest: ${questKey}\n${formatQuest(response.data.data)}`),
+      },
+    ],
+  };
+}
+
+async function questAction(action) {
+  const response = await habiticaClient.post(`/groups/party/quests/${action}`);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Quest ${action} succeeded. ${formatQuest(response.data.data)}`),
+      },
+    ],
+  };
+}
+
+function formatChallenge(challenge) {
+  const leader = challenge.leader?.profile?.name || challenge.leader?._id || challenge.leader;
+  const group = challenge.group?.name || challenge.group?._id || challenge.group;
+  return t(`${challenge.name} [${challenge.shortName}] - ${challenge.memberCount} members, prize: ${challenge.prize || 0} gems, leader: ${leader}, group: ${group} (ID: ${challenge._id || challenge.id})`);
+}
+
+async function getChallenges(scope = 'member', search, page = 0) {
+  const params = new URLSearchParams({ page: String(page) });
+  if (scope === 'member') params.set('member', 'true');
+  if (search) params.set('search', search);
+
+  const response = await habiticaClient.get(`/challenges/user?${params}`);
+  const challenges = response.data.data;
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Challenges (${challenges.length}, page ${page}):`),
+      },
+      {
+        type: 'text',
+        text: challenges.length > 0
+          ? challenges.map(formatChallenge).join('\n')
+          : t('No challenges found'),
+      },
+    ],
+  };
+}
+
+async function getChallenge(challengeId) {
+  const [challengeResponse, tasksResponse] = await Promise.all([
+    habiticaClient.get(`/challenges/${challengeId}`),
+    habiticaClient.get(`/tasks/challenge/${challengeId}`),
+  ]);
+  const challenge = challengeResponse.data.data;
+  const tasks = tasksResponse.data.data;
+
+  const lines = [formatChallenge(challenge)];
+  if (challenge.summary) lines.push(t(`Summary: ${challenge.summary}`));
+  if (challenge.description) lines.push(t(`Description: ${challenge.description}`));
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: lines.join('\n'),
+      },
+      {
+        type: 'text',
+        text: tasks.length > 0
+          ? t(`Tasks (${tasks.length}):\n`) + tasks.map(task => `[${task.type}] ${task.text} (ID: ${task.id})`).join('\n')
+          : t('No challenge tasks found'),
+      },
+    ],
+  };
+}
+
+async function joinChallenge(challengeId) {
+  const response = await habiticaClient.post(`/challenges/${challengeId}/join`);
+  const challenge = response.data.data;
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Successfully joined challenge: ${challenge.name} (ID: ${challengeId})`),
+      },
+    ],
+  };
+}
+
+async function leaveChallenge(challengeId, keep = 'keep-all') {
+  await habiticaClient.post(`/challenges/${challengeId}/leave`, { keep });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: keep === 'keep-all'
+          ? t(`Successfully left challenge (ID: ${challengeId}), its tasks were kept`)
+          : t(`Successfully left challenge (ID: ${challengeId}), its tasks were removed`),
+      },
+    ],
+  };
+}
+
+async function createChallenge({ group, name, shortName, summary, description, prize = 0, tasks = [] }) {
+  let groupId = group;
+  if (group === 'party') {
+    const partyResponse = await habiticaClient.get('/groups/party');
+    groupId = partyResponse.data.data._id || partyResponse.data.data.id;
+  }
+
+  const response = await habiticaClient.post('/challenges', {
+    group: groupId,
+    name,
+    shortName,
+    summary,
+    description,
+    prize,
+  });
+  const challenge = response.data.data;
+  const challengeId = challenge._id || challenge.id;
+
+  if (tasks.length > 0) {
+    await habiticaClient.post(`/tasks/challenge/${challengeId}`, tasks);
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Successfully created challenge: ${challenge.name} with ${tasks.length} task(s) (ID: ${challengeId})`),
+      },
+    ],
+  };
+}
+
+async function exportChallengeProgress(challengeId) {
+  const response = await habiticaClient.get(`/challenges/${challengeId}/export/csv`, {
+    responseType: 'text',
+  });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: response.data,
+      },
+    ],
+  };
+}
+
+async function selectChallengeWinner(challengeId, winnerId) {
+  await habiticaClient.post(`/challenges/${challengeId}/selectWinner/${winnerId}`);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Successfully selected winner ${winnerId} for challenge (ID: ${challengeId})`),
+      },
+    ],
+  };
+}
+
+function formatGuild(guild) {
+  const summary = guild.summary ? ` - ${guild.summary.length > 80 ? `${guild.summary.slice(0, 77)}...` : guild.summary}` : '';
+  return `${guild.name} (${guild.memberCount} members, ${guild.privacy})${summary} (ID: ${guild._id || guild.id})`;
+}
+
+async function getGuilds(scope = 'member', search, page = 0) {
+  const params = new URLSearchParams();
+  if (scope === 'public') {
+    params.set('type', 'publicGuilds');
+    params.set('paginate', 'true');
+    params.set('page', String(page));
+    if (search) params.set('search', search);
+  } else {
+    params.set('type', 'guilds');
+  }
+
+  const response = await habiticaClient.get(`/groups?${params}`);
+  const guilds = response.data.data;
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: scope === 'public'
+          ? t(`Public guilds (${guilds.length}, page ${page}):`)
+          : t(`Your guilds (${guilds.length}):`),
+      },
+      {
+        type: 'text',
+        text: guilds.length > 0
+          ? guilds.map(formatGuild).join('\n')
+          : t('No guilds found'),
+      },
+    ],
+  };
+}
+
+async function joinGuild(groupId) {
+  const response = await habiticaClient.post(`/groups/${groupId}/join`);
+  const guild = response.data.data;
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: t(`Successfully joined guild: ${guild.name} (ID: ${groupId})`),
+      },
+    ],
+  };
+}
+
+async function leaveGuild(groupId, keep = 'keep-all') {
+  await habiticaClient.post(`/groups/${groupId}/leave?keep=${keep}`);
 
   return {
     content: [
       {
         type: 'text',
-        text: `Successfully updated task: ${task.text}`,
+        text: t(`Successfully left guild (ID: ${groupId})`),
       },
     ],
   };
 }
 
-async function deleteTask(taskId) {
-  await habiticaClient.delete(`/tasks/${taskId}`);
+async function likeChatMessage(groupId, chatId) {
+  const response = await habiticaClient.post(`/groups/${groupId}/chat/${chatId}/like`);
+  const message = response.data.data;
+  const likes = Object.values(message.likes || {}).filter(Boolean).length;
 
   return {
     content: [
       {
         type: 'text',
-        text: `Successfully deleted task (ID: ${taskId})`,
+        text: t(`Successfully toggled like on message (ID: ${chatId}), total likes: ${likes}`),
       },
     ],
   };
 }
 
-async function getStats() {
-  const response = await habiticaClient.get('/user');
+async function flagChatMessage(groupId, chatId, comment) {
+  await habiticaClient.post(`/groups/${groupId}/chat/${chatId}/flag`, comment ? { comment } : {});
 
   return {
     content: [
       {
         type: 'text',
-        text: JSON.stringify(response.data.data.stats, null, 2),
+        text: t(`Successfully reported message to moderators (ID: ${chatId})`),
       },
     ],
   };
 }
 
-async function buyReward(key) {
-  const response = await habiticaClient.post(`/user/buy/${key}`);
-  const result = response.data.data;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Resolve a username or user ID to the member's public profile
+async function lookupMember(identifier) {
+  const value = identifier.trim().replace(/^@/, '');
+  const endpoint = UUID_PATTERN.test(value)
+    ? `/members/${value}`
+    : `/members/username/${encodeURIComponent(value)}`;
+
+  try {
+    const response = await habiticaClient.get(endpoint);
+    return response.data.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new McpError(ErrorCode.InvalidParams, t(`Member not found: ${identifier}`));
+    }
+    throw error;
+  }
+}
+
+async function findMember(identifier) {
+  const member = await lookupMember(identifier);
 
   return {
     content: [
       {
         type: 'text',
-        text: `Successfully bought reward! Remaining gold: ${result.gp}`,
+        text: formatMember(member),
       },
     ],
   };
 }
 
-async function getInventory() {
-  const response = await habiticaClient.get('/user');
+async function getInbox(page = 0) {
+  const response = await habiticaClient.get(`/inbox/messages?page=${page}`);
+  const messages = response.data.data;
 
   return {
     content: [
       {
         type: 'text',
-        text: JSON.stringify(response.data.data.items, null, 2),
+        text: t(`Inbox messages (${messages.length}, page ${page}):`),
+      },
+      {
+        type: 'text',
+        text: messages.length > 0
+          ? messages.map(msg => {
+            const direction = msg.sent ? t(`to ${msg.user || msg.username}`) : t(`from ${msg.user || msg.username}`);
+            return `[${new Date(msg.timestamp).toISOString()}] ${direction}: ${msg.text} (ID: ${msg.id})`;
+          }).join('\n')
+          : t('No messages found'),
       },
     ],
   };
 }
 
-async function castSpell(spellId, targetId) {
-  const endpoint = targetId ? `/user/class/cast/${spellId}?targetId=${targetId}` : `/user/class/cast/${spellId}`;
-  const response = await habiticaClient.post(endpoint);
+async function sendPrivateMessage(to, message) {
+  const member = await lookupMember(to);
+  const toUserId = member._id || member.id;
+  await habiticaClient.post('/members/send-private-message', { message, toUserId });
 
   return {
     content: [
       {
         type: 'text',
-        text: `Successfully cast spell: ${spellId}`,
+        text: t(`Successfully sent private message to ${member.profile?.name || to} (ID: ${toUserId})`),
       },
     ],
   };
 }
 
-async function getTags() {
-  const response = await habiticaClient.get('/tags');
+async function deletePrivateMessage(messageId) {
+  await habiticaClient.delete(`/user/messages/${messageId}`);
 
   return {
     content: [
       {
         type: 'text',
-        text: JSON.stringify(response.data, null, 2),
+        text: t(`Successfully deleted private message (ID: ${messageId})`),
       },
     ],
   };
 }
 
-async function createTag(name) {
-  const response = await habiticaClient.post('/tags', { name });
-  const tag = response.data.data;
+async function markInboxRead() {
+  await habiticaClient.post('/user/mark-pms-read');
 
   return {
     content: [
       {
         type: 'text',
-        text: `Successfully created tag: ${tag.name} (ID: ${tag.id})`,
+        text: t('Successfully marked all private messages as read'),
       },
     ],
   };
 }
 
-async function getPets() {
-  const response = await habiticaClient.get('/user');
+// Run worker over items with at most `limit` calls in flight, preserving order
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runNext() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, Math.floor(limit) || 1), items.length) }, runNext));
+  return results;
+}
+
+function requireOperations(operations) {
+  if (!Array.isArray(operations) || operations.length === 0 || !operations.every(operation => operation && typeof operation === 'object')) {
+    throw new McpError(ErrorCode.InvalidParams, t('operations must be a non-empty array of operation objects'));
+  }
+}
+
+function requireTaskId(operation) {
+  if (!operation.taskId) {
+    throw new Error(t(`taskId is required for ${operation.op}`));
+  }
+  return operation.taskId;
+}
+
+// Tag names are resolved once for the whole batch, one at a time, so a new
+// name shared by several tasks is created only once. Maps each name to its
+// ID, or to the error that stopped it from resolving
+async function resolveBatchTagIds(tasks) {
+  const tagIds = new Map();
+  const names = [...new Set(tasks.flatMap(task => task.tags || []))].filter(tag => !UUID_PATTERN.test(tag));
+  if (names.length === 0) {
+    return tagIds;
+  }
+  let tags;
+  try {
+    tags = (await habiticaClient.get('/tags')).data.data;
+  } catch (error) {
+    names.forEach(name => tagIds.set(name, error));
+    return tagIds;
+  }
+  for (const name of names) {
+    tagIds.set(name, await resolveTagId(name, { createMissing: true, tags }).catch(error => error));
+  }
+  return tagIds;
+}
+
+function withBatchTagIds(task, tagIds) {
+  if (!task.tags) {
+    return task;
+  }
+  const tags = task.tags.map(tag => tagIds.get(tag) ?? tag);
+  const failed = tags.find(tag => tag instanceof Error);
+  if (failed) {
+    throw failed;
+  }
+  return { ...task, tags };
+}
+
+// Statuses Habitica answers with when it rejects a batch as invalid
+const BATCH_VALIDATION_STATUSES = [400, 422];
+
+// Creates go out as a single array request; if Habitica rejects the batch as
+// invalid, fall back to one request per task so a single bad task doesn't
+// sink the rest
+async function bulkCreateTasks(entries, concurrency) {
+  const tagIds = await resolveBatchTagIds(entries.map(({ operation }) => operation.task || {}));
+  const prepared = await Promise.all(entries.map(async ({ operation }) => {
+    try {
+      return { data: await prepareNewTask(withBatchTagIds(operation.task || {}, tagIds)) };
+    } catch (error) {
+      return { error };
+    }
+  }));
+  const valid = entries.filter((entry, i) => !prepared[i].error);
+  const validData = prepared.filter(item => !item.error).map(item => item.data);
+
+  const results = new Map();
+  entries.forEach((entry, i) => {
+    if (prepared[i].error) {
+      results.set(entry.index, { ok: false, message: apiErrorMessage(prepared[i].error) });
+    }
+  });
+  if (valid.length === 0) {
+    return results;
+  }
+
+  const recordCreated = async (entry, task) => {
+    await recordUndo({ tool: 'create_task', taskId: task.id, summary: t(`created [${task.type}] "${task.text}"`) });
+    results.set(entry.index, { ok: true, message: t(`created "${task.text}" (ID: ${task.id})`) });
+  };
+
+  let created;
+  try {
+    const response = await habiticaClient.post('/tasks/user', validData);
+    created = [].concat(response.data.data);
+  } catch (batchError) {
+    // Anything but a validation error (a timeout, a 5xx) may have stored the
+    // batch anyway, so re-posting could duplicate tasks
+    if (!BATCH_VALIDATION_STATUSES.includes(batchError.response?.status)) {
+      valid.forEach(entry => results.set(entry.index, { ok: false, message: apiErrorMessage(batchError) }));
+      return results;
+    }
+  }
+
+  if (created) {
+    for (const [i, entry] of valid.entries()) {
+      await recordCreated(entry, created[i]);
+    }
+    return results;
+  }
+
+  await mapWithConcurrency(valid, concurrency, async (entry, i) => {
+    let task;
+    try {
+      task = (await habiticaClient.post('/tasks/user', validData[i])).data.data;
+    } catch (error) {
+      results.set(entry.index, { ok: false, message: apiErrorMessage(error) });
+      return;
+    }
+    await recordCreated(entry, task);
+  });
+  return results;
+}
+
+async function bulkTasks(operations, concurrency = 3) {
+  requireOperations(operations);
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 10) {
+    throw new McpError(ErrorCode.InvalidParams, t(`concurrency must be a whole number from 1 to 10: ${concurrency}`));
+  }
+
+  // Tags are looked up once per batch
+  let tagsPromise;
+  const findTagId = async (tagNameOrId) => {
+    tagsPromise = tagsPromise || habiticaClient.get('/tags').then(response => response.data.data);
+    const tag = findTag(await tagsPromise, tagNameOrId);
+    if (!tag) {
+      throw new Error(t(`Tag not found: ${tagNameOrId}`));
+    }
+    return tag.id;
+  };
+
+  const handlers = {
+    // Update, score and delete are journaled like their single-task tools
+    update: async (operation) => {
+      const taskId = requireTaskId(operation);
+      const updates = operation.task || {};
+      const before = await fetchTask(taskId);
+      const response = await habiticaClient.put(`/tasks/${taskId}`, await resolveTaskDate(updates));
+      const fields = Object.keys(updates);
+      await recordUndo({
+        tool: 'update_task',
+        taskId,
+        summary: t(`updated ${fields.join(', ')} on "${before.text}"`),
+        before: Object.fromEntries(fields.map(field => [field, before[field] ?? null])),
+      });
+      return t(`updated "${response.data.data.text}"`);
+    },
+    score: async (operation) => {
+      const taskId = requireTaskId(operation);
+      const direction = operation.direction || 'up';
+      const before = await fetchTask(taskId);
+      const response = await habiticaClient.post(`/tasks/${taskId}/score/${direction}`);
+      const result = response.data.data;
+      await recordUndo({
+        tool: 'score_task',
+        taskId,
+        direction,
+        summary: t(`scored [${before.type}] "${before.text}" ${direction}`),
+        before: { type: before.type, completed: before.completed, value: before.value },
+      });
+      return t(`scored ${direction} (HP ${round(result.hp)}, gold ${round(result.gp, 2)})`);
+    },
+    delete: async (operation) => {
+      const taskId = requireTaskId(operation);
+      const before = await fetchTask(taskId);
+      await habiticaClient.delete(`/tasks/${taskId}`);
+      await recordUndo({ tool: 'delete_task', taskId, summary: t(`deleted [${before.type}] "${before.text}"`), before: restorableTask(before) });
+      return t('deleted');
+    },
+    add_tag: async (operation) => {
+      if (!operation.tag) {
+        throw new Error(t('tag is required for add_tag'));
+      }
+      const tagId = await findTagId(operation.tag);
+      await habiticaClient.post(`/tasks/${requireTaskId(operation)}/tags/${tagId}`);
+      return t(`tagged with "${operation.tag}"`);
+    },
+    move: async (operation) => {
+      const position = operation.position === 'bottom' ? -1 : 0;
+      await habiticaClient.post(`/tasks/${requireTaskId(operation)}/move/to/${position}`);
+      return t(`moved to ${operation.position === 'bottom' ? 'bottom' : 'top'}`);
+    },
+  };
+
+  const entries = operations.map((operation, index) => ({ operation, index }));
+  const createEntries = entries.filter(entry => entry.operation.op === 'create');
+  const otherEntries = entries.filter(entry => entry.operation.op !== 'create');
+
+  const results = await bulkCreateTasks(createEntries, concurrency);
+  await mapWithConcurrency(otherEntries, concurrency, async ({ operation, index }) => {
+    const handler = handlers[operation.op];
+    try {
+      if (!handler) {
+        throw new Error(t(`Unknown operation: ${operation.op}`));
+      }
+      results.set(index, { ok: true, message: await handler(operation) });
+    } catch (error) {
+      results.set(index, { ok: false, message: apiErrorMessage(error) });
+    }
+  });
+
+  const lines = operations.map((operation, index) => {
+    const result = results.get(index);
+    const target = operation.taskId ? ` ${operation.taskId}` : '';
+    return `${index + 1}. ${result.ok ? '✓' : '✗'} ${operation.op}${target}: ${result.message}`;
+  });
+  const succeeded = [...results.values()].filter(result => result.ok).length;
 
   return {
     content: [
       {
         type: 'text',
-        text: JSON.stringify(response.data.data.items.pets, null, 2),
+        text: t(`Bulk operations finished: ${succeeded} succeeded, ${operations.length - succeeded} failed`),
+      },
+      {
+        type: 'text',
+        text: lines.join('\n'),
       },
     ],
   };
 }
 
-async function feedPet(pet, food) {
-  const response = await habiticaClient.post(`/user/feed/${pet}/${food}`);
-  const result = response.data.data;
+async function saveTaskTemplate({ name, description, tasks = [], overwrite = false }) {
+  if (tasks.length === 0) {
+    throw new McpError(ErrorCode.InvalidParams, t('A template needs at least one task'));
+  }
 
-  let message = `Successfully fed pet ${pet}! `;
-  if (result.message) {
-    message += result.message;
+  const template = { name, description, tasks };
+  const saved = await saveTemplate(template, overwrite);
+  if (!saved) {
+    throw new McpError(ErrorCode.InvalidParams, t(`Template already exists: ${name}. Set overwrite=true to replace it`));
   }
 
+  const variables = templateVariables(template);
   return {
     content: [
       {
         type: 'text',
-        text: message,
+        text: t(`Successfully saved template: ${name} (${tasks.length} tasks${variables.length > 0 ? `, variables: ${variables.join(', ')}` : ''})`),
       },
     ],
   };
 }
 
-async function hatchPet(egg, hatchingPotion) {
-  const response = await habiticaClient.post(`/user/hatch/${egg}/${hatchingPotion}`);
-  const result = response.data.data;
+async function listTaskTemplates() {
+  const templates = Object.values(await loadTemplates());
 
   return {
     content: [
       {
         type: 'text',
-        text: `Successfully hatched pet! Got ${egg}-${hatchingPotion}`,
+        text: templates.length > 0
+          ? templates.map(template => {
+            const variables = templateVariables(template);
+            const description = template.description ? ` - ${template.description}` : '';
+            return `${template.name}${description} (${template.tasks.length} tasks${variables.length > 0 ? `, variables: ${variables.join(', ')}` : ''})`;
+          }).join('\n')
+          : t('No task templates found'),
       },
     ],
   };
 }
 
-async function getMounts() {
-  const response = await habiticaClient.get('/user');
+async function instantiateTemplate(name, variables = {}) {
+  const template = (await loadTemplates())[name];
+  if (!template) {
+    throw new McpError(ErrorCode.InvalidParams, t(`Template not found: ${name}`));
+  }
+
+  const missing = templateVariables(template).filter(variable => !(variable in variables));
+  if (missing.length > 0) {
+    throw new McpError(ErrorCode.InvalidParams, t(`Missing template variables: ${missing.join(', ')}`));
+  }
+
+  const today = userToday(await getDayPreferences());
+  const tasks = renderTemplate(template, variables, today);
+
+  const lines = [];
+  let created = 0;
+  for (const task of tasks) {
+    try {
+      const result = await createTask(task);
+      lines.push(`✓ ${result.content[0].text}`);
+      created++;
+    } catch (error) {
+      lines.push(`✗ ${task.text}: ${error instanceof McpError ? error.message : apiErrorMessage(error)}`);
+    }
+  }
 
   return {
     content: [
       {
         type: 'text',
-        text: JSON.stringify(response.data.data.items.mounts, null, 2),
+        text: t(`Template ${name}: created ${created} of ${tasks.length} tasks`),
+      },
+      {
+        type: 'text',
+        text: lines.join('\n'),
       },
     ],
   };
 }
 
-async function equipItem(type, key) {
-  const response = await habiticaClient.post(`/user/equip/${type}/${key}`);
+async function deleteTaskTemplate(name) {
+  const deleted = await deleteTemplate(name);
+  if (!deleted) {
+    throw new McpError(ErrorCode.InvalidParams, t(`Template not found: ${name}`));
+  }
 
   return {
     content: [
       {
         type: 'text',
-        text: `Successfully equipped ${type}: ${key}`,
+        text: t(`Successfully deleted template: ${name}`),
       },
     ],
   };
 }
 
-async function getNotifications() {
-  const response = await habiticaClient.get('/notifications');
+async function analyzeHabits(weeks = 8, top = 5) {
+  const [habitsResponse, dailysResponse, preferences] = await Promise.all([
+    habiticaClient.get('/tasks/user?type=habits'),
+    habiticaClient.get('/tasks/user?type=dailys'),
+    getDayPreferences(),
+  ]);
+  const tasks = habitsResponse.data.data.concat(dailysResponse.data.data);
+
+  const analysis = analyzeTasks(tasks, {
+    today: userToday(preferences),
+    preferences,
+    weeks,
+  });
 
   return {
     content: [
       {
         type: 'text',
-        text: JSON.stringify(response.data, null, 2),
+        text: formatHabitReport(analysis, { top }),
       },
     ],
   };
 }
 
-async function readNotification(notificationId) {
-  await habiticaClient.post(`/notifications/${notificationId}/read`);
+async function productivityReport({ period = 'week', from, to, format = 'markdown' }) {
+  const [user, tasksResponse, completedTodosResponse] = await Promise.all([
+    userCache.get(['stats', 'history', 'preferences']),
+    habiticaClient.get('/tasks/user'),
+    habiticaClient.get('/tasks/user?type=completedTodos'),
+  ]);
+  const preferences = user.preferences || {};
+  const timezoneOffset = preferences.timezoneOffset || 0;
+  const today = userToday(preferences);
+
+  let range = periodRange(period, today);
+  try {
+    if (from) {
+      range = {
+        from: dayIndexOf(resolveDueDate(from, preferences), timezoneOffset),
+        to: to ? dayIndexOf(resolveDueDate(to, preferences), timezoneOffset) : today,
+      };
+    } else if (to) {
+      range = { ...range, to: dayIndexOf(resolveDueDate(to, preferences), timezoneOffset) };
+    }
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, t(error.message));
+  }
+  if (range.from > range.to) {
+    throw new McpError(ErrorCode.InvalidParams, t('Report range start must not be after its end'));
+  }
+
+  const report = buildReport({
+    tasks: tasksResponse.data.data,
+    completedTodos: completedTodosResponse.data.data,
+    user,
+    preferences,
+    ...range,
+  });
 
   return {
     content: [
       {
         type: 'text',
-        text: `Successfully marked notification as read (ID: ${notificationId})`,
+        text: format === 'csv' ? formatReportCsv(report) : formatReportMarkdown(report, timezoneOffset),
       },
     ],
   };
 }
 
-async function getShop(shopType = 'market') {
-  const response = await habiticaClient.get(`/shops/${shopType}`);
+async function exportData(path, format = 'json', overwrite = false) {
+  const [userResponse, tasksResponse, completedTodosResponse, tagsResponse] = await Promise.all([
+    habiticaClient.get('/user'),
+    habiticaClient.get('/tasks/user'),
+    habiticaClient.get('/tasks/user?type=completedTodos'),
+    habiticaClient.get('/tags'),
+  ]);
+
+  const backup = buildBackup({
+    user: userResponse.data.data,
+    tasks: tasksResponse.data.data,
+    completedTodos: completedTodosResponse.data.data,
+    tags: tagsResponse.data.data,
+  });
+  const contents = format === 'csv' ? backupToCsv(backup) : JSON.stringify(backup, null, 2);
+
+  let written;
+  try {
+    written = await writeBackupFile(path, contents, overwrite);
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, t(`Could not write ${path}: ${error.message}`));
+  }
+  if (!written) {
+    throw new McpError(ErrorCode.InvalidParams, t(`File already exists: ${path}. Set overwrite=true to replace it`));
+  }
 
+  const checklistItems = backup.tasks.reduce((sum, task) => sum + (task.checklist?.length || 0), 0);
   return {
     content: [
       {
         type: 'text',
-        text: JSON.stringify(response.data, null, 2),
+        text: t(`Successfully exported ${backup.tasks.length} tasks, ${backup.tags.length} tags and ${checklistItems} checklist items to ${resolveBackupPath(path)} (${format}, schema version ${BACKUP_SCHEMA_VERSION})`),
       },
     ],
   };
 }
 
-async function buyItem(itemKey, quantity = 1) {
-  const response = await habiticaClient.post(`/user/buy/${itemKey}`, { quantity });
-  const result = response.data.data;
+function importKey(task) {
+  return `${task.type}:${task.text.trim().toLowerCase()}`;
+}
+
+function describeImportTask(task) {
+  const details = [];
+  if (task.priority !== undefined) details.push(`difficulty: ${task.priority}`);
+  if (task.checklist?.length > 0) details.push(`checklist: ${task.checklist.length}`);
+  if (task.tags?.length > 0) details.push(`tags: ${task.tags.join(', ')}`);
+  return `[${task.type}] ${task.text}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+}
+
+// Work out which tags and tasks an import would create
+function planImport(data, existingTags, existingTasks) {
+  const tagIds = new Map(existingTags.map(tag => [tag.name.trim().toLowerCase(), tag.id]));
+  const newTags = [];
+  const tagNames = data.tags.map(tag => tag.name).concat(data.tasks.flatMap(task => task.tags || []));
+  for (const name of tagNames) {
+    const key = name.trim().toLowerCase();
+    if (key && !tagIds.has(key) && !newTags.some(tag => tag.toLowerCase() === key)) {
+      newTags.push(name.trim());
+    }
+  }
+
+  const seen = new Set(existingTasks.map(importKey));
+  const create = [];
+  const skipped = [];
+  for (const task of data.tasks) {
+    if (!['habit', 'daily', 'todo', 'reward'].includes(task.type)) {
+      skipped.push({ task, reason: t(`unknown type "${task.type}"`) });
+    } else if (task.type === 'todo' && task.completed) {
+      skipped.push({ task, reason: t('completed') });
+    } else if (seen.has(importKey(task))) {
+      skipped.push({ task, reason: t('already exists') });
+    } else {
+      seen.add(importKey(task));
+      create.push(task);
+    }
+  }
+
+  return { tagIds, newTags, create, skipped };
+}
+
+async function importData({ path, content, format = 'auto', dryRun = false }) {
+  if (content === undefined && !path) {
+    throw new McpError(ErrorCode.InvalidParams, t('Provide either path or content'));
+  }
+
+  let text = content;
+  if (text === undefined) {
+    try {
+      text = await readImportFile(path);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, t(`Could not read ${path}: ${error.message}`));
+    }
+  }
+
+  let data;
+  try {
+    data = parseImport(text, format, path);
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, t(`Could not parse import: ${error.message}`));
+  }
+
+  const [tagsResponse, tasksResponse, completedTodosResponse] = await Promise.all([
+    habiticaClient.get('/tags'),
+    habiticaClient.get('/tasks/user'),
+    habiticaClient.get('/tasks/user?type=completedTodos'),
+  ]);
+  const existingTasks = tasksResponse.data.data.concat(completedTodosResponse.data.data);
+  const plan = planImport(data, tagsResponse.data.data, existingTasks);
+
+  const summary = t(`${plan.create.length} tasks to create, ${plan.newTags.length} new tags, ${plan.skipped.length} tasks skipped`);
+  const skippedLines = plan.skipped.map(({ task, reason }) => `~ ${describeImportTask(task)} (${reason})`);
+
+  if (dryRun) {
+    const lines = [
+      t(`Import preview (${data.source}, dry run): ${summary}`),
+      ...plan.newTags.map(name => `+ ${t('tag')} ${name}`),
+      ...plan.create.map(task => `+ ${describeImportTask(task)}`),
+      ...skippedLines,
+    ];
+    return {
+      content: [
+        {
+          type: 'text',
+          text: lines.join('\n'),
+        },
+      ],
+    };
+  }
+
+  const results = [];
+  for (const name of plan.newTags) {
+    try {
+      const tag = await createTagRecord(name);
+      plan.tagIds.set(name.toLowerCase(), tag.id);
+      results.push(`✓ ${t('tag')} ${tag.name} (ID: ${tag.id})`);
+    } catch (error) {
+      results.push(`✗ ${t('tag')} ${name}: ${apiErrorMessage(error)}`);
+    }
+  }
+
+  let created = 0;
+  for (const task of plan.create) {
+    const { completed, ...taskData } = task;
+    taskData.tags = (task.tags || []).map(name => plan.tagIds.get(name.trim().toLowerCase())).filter(Boolean);
+    try {
+      const record = await createTaskRecord(taskData);
+      created++;
+      results.push(`✓ [${record.type}] ${record.text} (ID: ${record.id})`);
+    } catch (error) {
+      results.push(`✗ [${task.type}] ${task.text}: ${apiErrorMessage(error)}`);
+    }
+  }
 
   return {
     content: [
       {
         type: 'text',
-        text: `Successfully bought ${itemKey} x${quantity}! Remaining gold: ${result.gp}`,
+        text: [t(`Imported ${created} of ${plan.create.length} tasks (${data.source}), ${plan.skipped.length} skipped`), ...results, ...skippedLines].join('\n'),
       },
     ],
   };
 }
 
-async function getTaskChecklist(taskId) {
-  const response = await habiticaClient.get(`/tasks/${taskId}`);
-  const task = response.data.data;
-  const checklist = task.checklist || [];
+async function getUndoJournal(limit = 20) {
+  const account = currentAccount().name;
+  const entries = (await loadJournal()).filter(entry => belongsToAccount(entry, account)).slice(-limit).reverse();
+  const lines = entries.map(entry => `${entry.undoneAt ? '↺' : '•'} ${entry.id} ${entry.at} ${entry.tool}: ${entry.summary}${entry.undoneAt ? t(' (undone)') : ''}`);
 
   return {
     content: [
       {
         type: 'text',
-        text: t(`Task: ${task.text}\nChecklist items (${checklist.length}):`),
-      },
-      {
-        type: 'text',
-        text: checklist.length > 0
-          ? checklist.map(item => `${item.completed ? '✓' : '○'} ${item.text} (ID: ${item.id})`).join('\n')
-          : t('No checklist items found'),
+        text: lines.length > 0 ? t(`Undo journal (${lines.length} most recent):\n${lines.join('\n')}`) : t('The undo journal is empty'),
       },
     ],
   };
 }
 
-async function addChecklistItem(taskId, text) {
-  const response = await habiticaClient.post(`/tasks/${taskId}/checklist`, { text });
-  const item = response.data.data;
+// Each handler reverses one journal entry and describes what it did
+const undoHandlers = {
+  create_task: async (entry) => {
+    await habiticaClient.delete(`/tasks/${entry.taskId}`);
+    return t('Deleted the created task');
+  },
+
+  update_task: async (entry) => {
+    const task = (await habiticaClient.put(`/tasks/${entry.taskId}`, entry.before)).data.data;
+    return t(`Restored ${Object.keys(entry.before).join(', ')} on "${task.text}"`);
+  },
+
+  // Older entries hold the whole task, newer ones only its restorable fields
+  delete_task: async (entry) => {
+    const task = await createTaskRecord(restorableTask(entry.before));
+    return t(`Recreated [${task.type}] "${task.text}" with ${task.checklist?.length || 0} checklist items (new ID: ${task.id})`);
+  },
+
+  score_task: async (entry) => {
+    const direction = entry.direction === 'down' ? 'up' : 'down';
+    const result = (await habiticaClient.post(`/tasks/${entry.taskId}/score/${direction}`)).data.data;
+    const stats = t(`HP ${round(result.hp)}, gold ${round(result.gp, 2)}`);
+    // Habit scores stack rather than toggle, so the reverse score only offsets the first one
+    if (entry.before?.type === 'habit') {
+      return t(`Scored the habit ${direction} to offset it (${stats}). Habitica does not refund habit rewards or damage exactly`);
+    }
+    return t(`Scored ${direction}, reversing the completion (${stats})`);
+  },
+
+  add_checklist_item: async (entry) => {
+    await habiticaClient.delete(`/tasks/${entry.taskId}/checklist/${entry.itemId}`);
+    return t('Deleted the added checklist item');
+  },
+
+  update_checklist_item: async (entry) => {
+    await habiticaClient.put(`/tasks/${entry.taskId}/checklist/${entry.itemId}`, entry.before);
+    return t(`Restored checklist item "${entry.before.text}"`);
+  },
+
+  delete_checklist_item: async (entry) => {
+    await habiticaClient.post(`/tasks/${entry.taskId}/checklist`, entry.before);
+    return t(`Re-added checklist item "${entry.before.text}"`);
+  },
+
+  score_checklist_item: async (entry) => {
+    await habiticaClient.post(`/tasks/${entry.taskId}/checklist/${entry.itemId}/score`);
+    return t('Toggled the checklist item back');
+  },
+};
+
+// Pass no id to undo the most recent change that hasn't been undone
+async function undo(id) {
+  let entry;
+  try {
+    entry = await claimUndo(id, currentAccount().name);
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, t(error.message));
+  }
+
+  let message;
+  try {
+    message = await undoHandlers[entry.tool](entry);
+  } catch (error) {
+    await finishUndo(entry.id, { failed: true });
+    throw error;
+  }
+  await finishUndo(entry.id, { note: message });
 
   return {
     content: [
       {
         type: 'text',
-        text: t(`Successfully added checklist item: ${item.text} (ID: ${item.id})`),
+        text: t(`Undid ${entry.tool} (${entry.summary}): ${message}`),
       },
     ],
   };
 }
 
-async function updateChecklistItem(taskId, itemId, updates) {
-  const response = await habiticaClient.put(`/tasks/${taskId}/checklist/${itemId}`, updates);
-  const item = response.data.data;
+function listAccounts() {
+  const { activeAccount } = currentSession();
+  const lines = [...accounts.values()].map(account => `• ${account.name} (${t('user ID')}: ${account.userId})${account.name === activeAccount ? t(' [active]') : ''}`);
 
   return {
     content: [
       {
         type: 'text',
-        text: t(`Successfully updated checklist item: ${item.text}`),
+        text: t(`Accounts (${accounts.size}):\n${lines.join('\n')}`),
       },
     ],
   };
 }
 
-async function deleteChecklistItem(taskId, itemId) {
-  await habiticaClient.delete(`/tasks/${taskId}/checklist/${itemId}`);
+function switchAccount(name) {
+  if (!accounts.has(name)) {
+    throw new McpError(ErrorCode.InvalidParams, t(`Unknown account "${name}". Available accounts: ${[...accounts.keys()].join(', ')}`));
+  }
+  const session = currentSession();
+  const previous = session.activeAccount;
+  session.activeAccount = name;
+  if (previous !== name) {
+    // Every resource of this session now shows a different account
+    sendResourceUpdates(session, ['habitica://']);
+  }
 
   return {
     content: [
       {
         type: 'text',
-        text: t(`Successfully deleted checklist item (ID: ${itemId})`),
+        text: previous === name ? t(`${name} is already the active account`) : t(`Switched the active account from ${previous} to ${name}`),
       },
     ],
   };
 }
 
-async function scoreChecklistItem(taskId, itemId) {
-  const response = await habiticaClient.post(`/tasks/${taskId}/checklist/${itemId}/score`);
-  const item = response.data.data;
+async function readResource(uri) {
+  const resource = parseResourceUri(uri);
+  if (!resource) {
+    throw new McpError(ErrorCode.InvalidParams, t(`Unknown resource: ${uri}`));
+  }
+
+  let text;
+  if (resource.kind === 'tasks') {
+    const response = await habiticaClient.get(`/tasks/user?type=${resource.type}`);
+    text = formatData('tasks', response.data.data, 'json');
+  } else if (resource.kind === 'task') {
+    text = formatData('task', await fetchTask(resource.id), 'json');
+  } else if (resource.kind === 'stats') {
+    text = formatData('stats', (await userCache.get(['stats'])).stats, 'json');
+  } else if (resource.kind === 'inventory') {
+    text = formatData('inventory', (await userCache.get(['items'])).items, 'json');
+  } else {
+    const response = await habiticaClient.get('/tags');
+    text = formatData('tags', response.data.data, 'json');
+  }
 
   return {
-    content: [
+    contents: [
       {
-        type: 'text',
-        text: t(`Successfully scored checklist item: ${item.text} (completed: ${item.completed})`),
+        uri,
+        mimeType: 'application/json',
+        text,
       },
     ],
   };
 }
 
-// Start server
+// Party is null when the user is not in one
+async function getPartyOrNull() {
+  try {
+    const response = await habiticaClient.get('/groups/party');
+    return response.data.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function getPrompt(name, args) {
+  if (name === 'plan_my_day') {
+    const [user, dailysResponse, todosResponse, party] = await Promise.all([
+      userCache.get(['stats', 'preferences']),
+      habiticaClient.get('/tasks/user?type=dailys'),
+      habiticaClient.get('/tasks/user?type=todos'),
+      getPartyOrNull(),
+    ]);
+    const preferences = user.preferences || {};
+    const today = userToday(preferences);
+    const weekEnd = endOfWeek(today);
+    const todos = todosResponse.data.data.filter(task => !task.completed && task.date);
+    const dueDay = task => dayIndexOf(task.date, preferences.timezoneOffset || 0);
+
+    return planMyDayPrompt({
+      today,
+      stats: user.stats,
+      dailies: dailysResponse.data.data.filter(task => task.isDue && !task.completed),
+      overdue: todos.filter(task => dueDay(task) < today),
+      dueToday: todos.filter(task => dueDay(task) === today),
+      upcoming: todos.filter(task => dueDay(task) > today && dueDay(task) <= weekEnd),
+      quest: party ? formatQuest(party.quest) : t('Not in a party'),
+      hours: args.hours,
+      focus: args.focus,
+    });
+  }
+
+  if (name === 'weekly_review') {
+    const [user, tasksResponse, completedTodosResponse] = await Promise.all([
+      userCache.get(['stats', 'history', 'preferences']),
+      habiticaClient.get('/tasks/user'),
+      habiticaClient.get('/tasks/user?type=completedTodos'),
+    ]);
+    const preferences = user.preferences || {};
+    const today = userToday(preferences);
+    const tasks = tasksResponse.data.data;
+    const report = buildReport({ tasks, completedTodos: completedTodosResponse.data.data, user, preferences, from: today - 6, to: today });
+    const analysis = analyzeTasks(tasks, { today, preferences, weeks: 4 });
+
+    return weeklyReviewPrompt({
+      report: formatReportMarkdown(report, preferences.timezoneOffset || 0),
+      habits: formatHabitReport(analysis),
+      goals: args.goals,
+    });
+  }
+
+  if (name === 'triage_red_tasks') {
+    const threshold = args.threshold !== undefined && args.threshold !== '' ? Number(args.threshold) : DEFAULT_RED_THRESHOLD;
+    if (Number.isNaN(threshold)) {
+      throw new McpError(ErrorCode.InvalidParams, t(`threshold must be a number: ${args.threshold}`));
+    }
+    const response = await habiticaClient.get('/tasks/user');
+    const tasks = response.data.data
+      .filter(task => task.type !== 'reward' && !(task.type === 'todo' && task.completed) && (task.value ?? 0) < threshold)
+      .sort((a, b) => a.value - b.value);
+
+    return triageRedTasksPrompt({ tasks, threshold });
+  }
+
+  if (name === 'prepare_for_boss_quest') {
+    const [user, dailysResponse, party] = await Promise.all([
+      userCache.get(['stats', 'party']),
+      habiticaClient.get('/tasks/user?type=dailys'),
+      getPartyOrNull(),
+    ]);
+    const quest = party?.quest;
+
+    return bossQuestPrompt({
+      stats: user.stats,
+      quest: party ? formatQuest(quest) : t('Not in a party'),
+      bossActive: Boolean(quest?.active && typeof quest.progress?.hp === 'number'),
+      pendingDamage: user.party?.quest?.progress?.up,
+      dailies: dailysResponse.data.data.filter(task => task.isDue && !task.completed),
+      partySize: party?.memberCount,
+    });
+  }
+
+  throw new McpError(ErrorCode.InvalidParams, t(`Unknown prompt: ${name}`));
+}
+
+// Self-hosted servers may lack endpoints or game content that some tools need
+async function checkServerCompatibility() {
+  if (!shouldCheckCompatibility(config.compatibilityCheck, config.apiBaseUrl)) {
+    return;
+  }
+  const { disabled, warnings } = await checkCompatibility(currentAccount().client, config.apiBaseUrl);
+  warnings.forEach(warning => console.error(warning));
+  for (const [name, reason] of disabled) {
+    if (!disabledTools.has(name)) {
+      disabledTools.set(name, reason);
+    }
+  }
+  if (disabled.size > 0) {
+    console.error(t(`Disabled ${disabled.size} tools this Habitica server does not support: ${[...disabled.keys()].join(', ')}`));
+  }
+}
+
+// Start server: stdio by default, or HTTP with SSE sessions for --http
 async function runServer() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error('Habitica MCP server started');
+  await checkServerCompatibility();
+
+  if (config.transport === 'stdio') {
+    await connectServer(new StdioServerTransport());
+    console.error('Habitica MCP server started');
+    return;
+  }
+
+  const { address, shutdown } = await startHttpServer({
+    host: config.host,
+    port: config.port,
+    token: config.httpToken,
+    allowedOrigins: config.allowedOrigins,
+    version: SERVER_VERSION,
+    connect: connectServer,
+  });
+  console.error(`Habitica MCP server listening on http://${address.address}:${address.port} (SSE endpoint /sse, health check /health)`);
+
+  const stop = async (signal) => {
+    console.error(`Received ${signal}, shutting down`);
+    await shutdown();
+    process.exit(0);
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
 }
 
 runServer().catch((error) => {
@@ -0,0 +1,107 @@
+// Undo journal for Habitica MCP Server
+// Task mutations append an entry holding what the task looked like before
+// the change, so it can be reversed later. The journal is a local JSON array,
+// oldest first, capped at JOURNAL_LIMIT entries.
+import { randomBytes } from 'crypto';
+import { createJsonStore, dataFilePath } from './store.js';
+
+export const JOURNAL_LIMIT = 200;
+
+// Task fields that can be sent back to Habitica when a deleted task is recreated
+export const RESTORABLE_FIELDS = [
+  'type',
+  'text',
+  'notes',
+  'alias',
+  'priority',
+  'attribute',
+  'date',
+  'frequency',
+  'everyX',
+  'repeat',
+  'daysOfMonth',
+  'weeksOfMonth',
+  'startDate',
+  'up',
+  'down',
+  'value',
+  'tags',
+  'reminders',
+  'collapseChecklist',
+];
+
+export function journalFilePath() {
+  return dataFilePath('HABITICA_JOURNAL_FILE', 'journal.json');
+}
+
+const journalStore = createJsonStore({
+  filePath: journalFilePath,
+  empty: () => [],
+  beforeWrite: journal => journal.slice(-JOURNAL_LIMIT),
+});
+
+const updateJournal = journalStore.update;
+
+export const loadJournal = journalStore.load;
+
+export function appendEntry(entry) {
+  const recorded = { id: randomBytes(4).toString('hex'), at: new Date().toISOString(), ...entry };
+  return updateJournal(journal => {
+    journal.push(recorded);
+    return recorded;
+  });
+}
+
+// Entries recorded before accounts were tracked belong to every account
+export function belongsToAccount(entry, account) {
+  return !entry.account || entry.account === account;
+}
+
+function latestUndoable(journal, account) {
+  return [...journal].reverse().find(entry => !entry.undoneAt && belongsToAccount(entry, account));
+}
+
+// Marks an entry (or, without an id, the account's newest one not undone) as
+// undone before the undo runs, so two concurrent undos can't reverse it twice.
+// Entries of other accounts are reported as not found
+export function claimUndo(id, account) {
+  return updateJournal(journal => {
+    const entry = id
+      ? journal.find(item => item.id === id && belongsToAccount(item, account))
+      : latestUndoable(journal, account);
+    if (!entry) {
+      throw new Error(id ? `Undo journal entry not found: ${id}` : 'Nothing to undo');
+    }
+    if (entry.undoneAt) {
+      throw new Error(`Entry ${entry.id} was already undone at ${entry.undoneAt}`);
+    }
+    entry.undoneAt = new Date().toISOString();
+    return { ...entry };
+  });
+}
+
+// Records the outcome of an undo, or releases the claim when it failed
+export function finishUndo(id, { note, failed = false }) {
+  return updateJournal(journal => {
+    const entry = journal.find(item => item.id === id);
+    if (!entry) {
+      return false;
+    }
+    if (failed) {
+      delete entry.undoneAt;
+    } else {
+      entry.undoNote = note;
+    }
+    return true;
+  });
+}
+
+// Fields of a deleted task to send back when recreating it
+export function restorableTask(task) {
+  const restored = Object.fromEntries(RESTORABLE_FIELDS.filter(field => task[field] !== undefined && task[field] !== null).map(field => [field, task[field]]));
+  if (task.type !== 'reward') {
+    delete restored.value;
+  }
+  restored.checklist = (task.checklist || []).map(item => ({ text: item.text, completed: Boolean(item.completed) }));
+  return restored;
+}
@@ -0,0 +1,130 @@
+// MCP prompts for Habitica MCP Server
+// Each prompt is filled with live account data and returns a ready-to-send
+// message. Builders here only format; index.js fetches the data. Prompt
+// descriptions are translated when listed, after the language is set.
+import { formatDay } from './dates.js';
+import { formatData, round, summarizeTask } from './format.js';
+import { t } from './i18n.js';
+
+// Habitica shows tasks below this value in red
+export const DEFAULT_RED_THRESHOLD = -10;
+
+export const PROMPTS = [
+  {
+    name: 'plan_my_day',
+    description: 'Plan today around due dailies, overdue and upcoming todos, current HP/MP and the party quest',
+    arguments: [
+      { name: 'hours', description: 'Hours available today', required: false },
+      { name: 'focus', description: 'Anything to prioritise today', required: false },
+    ],
+  },
+  {
+    name: 'weekly_review',
+    description: 'Review the past week: completion rates, streaks, slipping habits and todos, with suggestions for next week',
+    arguments: [
+      { name: 'goals', description: 'Goals to review the week against', required: false },
+    ],
+  },
+  {
+    name: 'triage_red_tasks',
+    description: 'Go through tasks that have turned red and decide what to keep, split, reschedule or drop',
+    arguments: [
+      { name: 'threshold', description: `Task value below which a task counts as red. Default is ${DEFAULT_RED_THRESHOLD}`, required: false },
+    ],
+  },
+  {
+    name: 'prepare_for_boss_quest',
+    description: 'Plan how to deal damage and protect the party during the current boss quest',
+    arguments: [],
+  },
+];
+
+function userMessage(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+function taskList(tasks) {
+  return tasks.length > 0 ? tasks.map(summarizeTask).join('\n') : t('None');
+}
+
+function section(title, body) {
+  return `## ${title}\n${body}`;
+}
+
+export function planMyDayPrompt({ today, stats, dailies, overdue, dueToday, upcoming, quest, hours, focus }) {
+  const sections = [
+    t(`# My Habitica day: ${formatDay(today)}`),
+    section(t('Stats'), formatData('stats', stats, 'summary')),
+    section(t(`Dailies still to do (${dailies.length})`), taskList(dailies)),
+    section(t(`Overdue todos (${overdue.length})`), taskList(overdue)),
+    section(t(`Todos due today (${dueToday.length})`), taskList(dueToday)),
+    section(t(`Todos due later this week (${upcoming.length})`), taskList(upcoming)),
+    section(t('Party quest'), quest),
+  ];
+
+  const instructions = [
+    t('Plan my day from this data. Put the dailies first, since missed dailies cost HP (and damage the party during boss quests). Then pick the overdue and due-today todos that matter most.'),
+    t('Keep the plan realistic, order it, and say what can wait until tomorrow. If HP is low, call that out and keep the plan light.'),
+  ];
+  if (hours) instructions.push(t(`I have about ${hours} hours available.`));
+  if (focus) instructions.push(t(`Today I want to focus on: ${focus}`));
+
+  return {
+    description: t(`Day plan for ${formatDay(today)}`),
+    messages: [userMessage([...sections, section(t('Request'), instructions.join('\n'))].join('\n\n'))],
+  };
+}
+
+export function weeklyReviewPrompt({ report, habits, goals }) {
+  const instructions = [
+    t('Review my week from this data: what went well, what slipped and why it might have slipped.'),
+    t('Suggest at most three concrete changes for next week, such as adjusting a daily\'s schedule or difficulty, splitting a stuck todo or dropping a habit that no longer fits.'),
+  ];
+  if (goals) instructions.push(t(`Review the week against these goals: ${goals}`));
+
+  return {
+    description: t('Weekly review'),
+    messages: [userMessage([report, section(t('Habits and dailies'), habits), section(t('Request'), instructions.join('\n'))].join('\n\n'))],
+  };
+}
+
+export function triageRedTasksPrompt({ tasks, threshold }) {
+  const lines = tasks.map(task => {
+    const notes = task.notes ? `\n  ${t('Notes')}: ${task.notes.replace(/\s+/g, ' ').slice(0, 200)}` : '';
+    return `${summarizeTask(task)}${notes}`;
+  });
+
+  const instructions = tasks.length > 0
+    ? t('For each red task, recommend one action: keep it as is, make it easier (lower difficulty, fewer days, smaller checklist), split it into smaller todos, reschedule it, or delete it. Explain briefly and list the task IDs so the changes can be made with the tools.')
+    : t('No tasks are red right now. Point out any task that is close to turning red.');
+
+  return {
+    description: t(`Triage of tasks with value below ${threshold}`),
+    messages: [userMessage([
+      section(t(`Red tasks (value below ${threshold}, ${tasks.length})`), lines.length > 0 ? lines.join('\n') : t('None')),
+      section(t('Request'), instructions),
+    ].join('\n\n'))],
+  };
+}
+
+export function bossQuestPrompt({ stats, quest, bossActive, pendingDamage, dailies, partySize }) {
+  const sections = [
+    section(t('Party quest'), quest),
+    section(t('My stats'), formatData('stats', stats, 'summary')),
+    section(t('Pending damage to the boss'), t(`${round(pendingDamage)} (dealt at the next cron)`)),
+    section(t(`Dailies still to do (${dailies.length})`), taskList(dailies)),
+  ];
+  if (partySize) sections.push(section(t('Party size'), String(partySize)));
+
+  const instructions = bossActive ? [
+    t('Help me prepare for this boss quest. Every daily I miss damages the whole party at cron, so start with which dailies must be done today.'),
+    t('Then suggest how to raise my damage (completing todos and dailies, high-value tasks, class skills that fit my MP) and whether I should buy a health potion or rest given my HP.'),
+  ] : [
+    t('There is no active boss quest right now. Say so, then suggest how to get ready for the next one: which dailies to make reliable first and whether my HP needs attention.'),
+  ];
+
+  return {
+    description: t('Boss quest preparation'),
+    messages: [userMessage([...sections, section(t('Request'), instructions.join('\n'))].join('\n\n'))],
+  };
+}
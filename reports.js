@@ -0,0 +1,237 @@
+// Productivity reports for Habitica MCP Server
+// Reports are rebuilt from task history, completed todos and the user's
+// exp history. Habitica does not keep a gold or HP log, so those figures are
+// estimated from task value changes before attribute and gear bonuses.
+import { historyRecords } from './analytics.js';
+import { dayIndexOf, endOfWeek, formatDay, userToday } from './dates.js';
+import { round } from './format.js';
+import { t } from './i18n.js';
+
+// Experience needed to go from `lvl` to `lvl + 1` (Habitica's tnl formula)
+export function toNextLevel(lvl) {
+  return Math.round(((lvl ** 2) * 0.25 + 10 * lvl + 139.75) / 10) * 10;
+}
+
+function totalExp(stats) {
+  let total = stats.exp || 0;
+  for (let lvl = 1; lvl < stats.lvl; lvl++) {
+    total += toNextLevel(lvl);
+  }
+  return total;
+}
+
+function levelForTotalExp(total) {
+  let lvl = 1;
+  let remaining = total;
+  while (remaining >= toNextLevel(lvl)) {
+    remaining -= toNextLevel(lvl);
+    lvl++;
+  }
+  return lvl;
+}
+
+export function periodRange(period, today) {
+  if (period === 'day') {
+    return { from: today, to: today };
+  }
+  if (period === 'month') {
+    const monthStart = formatDay(today).slice(0, 8) + '01';
+    return { from: dayIndexOf(`${monthStart}T00:00:00Z`), to: today };
+  }
+  return { from: endOfWeek(today) - 6, to: today };
+}
+
+function emptyRow(day) {
+  return {
+    day,
+    dailiesDue: 0,
+    dailiesCompleted: 0,
+    habitsUp: 0,
+    habitsDown: 0,
+    todosClosed: 0,
+    todosCreated: 0,
+    xp: 0,
+    gold: 0,
+    hp: 0,
+  };
+}
+
+// End-of-day cumulative exp, keyed by the Habitica day each cron snapshot closes
+function expSnapshots(user, preferences, today) {
+  const snapshots = (user.history?.exp || [])
+    .map(entry => ({ day: userToday(preferences, new Date(entry.date)) - 1, total: entry.value }))
+    .sort((a, b) => a.day - b.day);
+  snapshots.push({ day: today, total: totalExp(user.stats) });
+  return snapshots;
+}
+
+function totalAtEndOf(snapshots, day) {
+  let total = null;
+  for (const snapshot of snapshots) {
+    if (snapshot.day > day) break;
+    total = snapshot.total;
+  }
+  return total;
+}
+
+export function buildReport({ tasks, completedTodos, user, preferences, from, to }) {
+  const today = userToday(preferences);
+  const timezoneOffset = preferences.timezoneOffset || 0;
+  const rows = new Map();
+  for (let day = from; day <= to; day++) {
+    rows.set(day, emptyRow(day));
+  }
+  const rowFor = day => rows.get(day);
+
+  for (const task of tasks) {
+    if (task.type === 'daily' || task.type === 'habit') {
+      for (const record of historyRecords(task, preferences)) {
+        const row = rowFor(record.day);
+        if (!row) continue;
+        if (record.delta > 0) row.gold += record.delta * (task.priority || 1);
+        if (record.delta < 0) row.hp += -record.delta * (task.priority || 1) * 2;
+        if (task.type === 'daily') {
+          if (record.due) row.dailiesDue++;
+          if (record.due && record.completed) row.dailiesCompleted++;
+        } else {
+          row.habitsUp += record.up;
+          row.habitsDown += record.down;
+        }
+      }
+      // Today's dailies are not in history until the next cron
+      const row = rowFor(today);
+      if (row && task.type === 'daily' && task.isDue) {
+        row.dailiesDue++;
+        if (task.completed) row.dailiesCompleted++;
+      }
+    }
+  }
+
+  const closedTodos = completedTodos.filter(task => rowFor(dayIndexOf(task.dateCompleted, timezoneOffset)));
+  for (const task of closedTodos) {
+    const row = rowFor(dayIndexOf(task.dateCompleted, timezoneOffset));
+    row.todosClosed++;
+    row.gold += task.priority || 1;
+  }
+  for (const task of tasks.concat(completedTodos)) {
+    if (task.type !== 'todo' || !task.createdAt) continue;
+    const row = rowFor(dayIndexOf(task.createdAt, timezoneOffset));
+    if (row) row.todosCreated++;
+  }
+
+  const snapshots = expSnapshots(user, preferences, today);
+  for (const row of rows.values()) {
+    const end = totalAtEndOf(snapshots, row.day);
+    const start = totalAtEndOf(snapshots, row.day - 1);
+    if (end !== null && start !== null) {
+      row.xp = Math.max(0, end - start);
+    }
+  }
+  const startTotal = totalAtEndOf(snapshots, from - 1);
+  const endTotal = totalAtEndOf(snapshots, Math.min(to, today));
+
+  // Checklist progress on today's dailies, open todos and todos closed in range
+  const checklistTasks = tasks
+    .filter(task => (task.type === 'daily' && task.isDue) || (task.type === 'todo' && !task.completed))
+    .concat(closedTodos);
+  const checklistItems = checklistTasks.flatMap(task => task.checklist || []);
+
+  const days = [...rows.values()];
+  const sum = key => days.reduce((total, row) => total + row[key], 0);
+  const totals = {
+    dailiesDue: sum('dailiesDue'),
+    dailiesCompleted: sum('dailiesCompleted'),
+    habitsUp: sum('habitsUp'),
+    habitsDown: sum('habitsDown'),
+    todosClosed: sum('todosClosed'),
+    todosCreated: sum('todosCreated'),
+    xp: startTotal !== null && endTotal !== null ? Math.max(0, endTotal - startTotal) : sum('xp'),
+    gold: sum('gold'),
+    hp: sum('hp'),
+  };
+
+  return {
+    from,
+    to,
+    days,
+    totals,
+    tasksCompleted: totals.dailiesCompleted + totals.habitsUp + totals.todosClosed,
+    levelStart: startTotal !== null ? levelForTotalExp(startTotal) : null,
+    levelEnd: to >= today ? user.stats.lvl : (endTotal !== null ? levelForTotalExp(endTotal) : null),
+    checklist: {
+      completed: checklistItems.filter(item => item.completed).length,
+      total: checklistItems.length,
+    },
+    closedTodos,
+  };
+}
+
+function percentOf(part, whole) {
+  return whole > 0 ? ` (${Math.round((part / whole) * 100)}%)` : '';
+}
+
+export function formatReportMarkdown(report, timezoneOffset = 0) {
+  const { totals } = report;
+  const level = report.levelStart !== null && report.levelEnd !== null
+    ? `${report.levelStart} → ${report.levelEnd} (${report.levelEnd - report.levelStart >= 0 ? '+' : ''}${report.levelEnd - report.levelStart})`
+    : `${report.levelEnd ?? '-'}`;
+
+  const lines = [
+    t(`# Productivity report: ${formatDay(report.from)} – ${formatDay(report.to)}`),
+    '',
+    t('| Metric | Value |'),
+    '| --- | --- |',
+    t(`| Tasks completed | ${report.tasksCompleted} |`),
+    t(`| Dailies completed | ${totals.dailiesCompleted} / ${totals.dailiesDue} due${percentOf(totals.dailiesCompleted, totals.dailiesDue)} |`),
+    t(`| Habit scores | +${totals.habitsUp} / -${totals.habitsDown} |`),
+    t(`| Todos closed / created | ${totals.todosClosed} / ${totals.todosCreated} |`),
+    t(`| XP earned | ${round(totals.xp, 0)} |`),
+    t(`| Gold earned (est.) | ${round(totals.gold, 1)} |`),
+    t(`| HP lost (est.) | ${round(totals.hp, 1)} |`),
+    t(`| Level | ${level} |`),
+    t(`| Checklist items completed | ${report.checklist.completed} / ${report.checklist.total}${percentOf(report.checklist.completed, report.checklist.total)} |`),
+  ];
+
+  if (report.days.length > 1) {
+    lines.push(
+      '',
+      t('## Daily breakdown'),
+      '',
+      t('| Date | Dailies | Habits | Todos closed | Todos created | XP |'),
+      '| --- | --- | --- | --- | --- | --- |',
+      ...report.days.map(row => `| ${formatDay(row.day)} | ${row.dailiesCompleted}/${row.dailiesDue} | +${row.habitsUp} / -${row.habitsDown} | ${row.todosClosed} | ${row.todosCreated} | ${round(row.xp, 0)} |`),
+    );
+  }
+
+  if (report.closedTodos.length > 0) {
+    lines.push('', t('## Todos closed'), '');
+    for (const task of report.closedTodos) {
+      lines.push(`- ${task.text} (${formatDay(dayIndexOf(task.dateCompleted, timezoneOffset))})`);
+    }
+  }
+
+  lines.push('', t('_Gold and HP are estimated from task value changes, before attribute and gear bonuses._'));
+  return lines.join('\n');
+}
+
+export function formatReportCsv(report) {
+  const header = 'date,dailies_due,dailies_completed,habits_up,habits_down,todos_closed,todos_created,xp_earned,gold_estimated,hp_lost_estimated';
+  const line = (label, row) => [
+    label,
+    row.dailiesDue,
+    row.dailiesCompleted,
+    row.habitsUp,
+    row.habitsDown,
+    row.todosClosed,
+    row.todosCreated,
+    round(row.xp, 0),
+    round(row.gold, 2),
+    round(row.hp, 2),
+  ].join(',');
+
+  return [
+    header,
+    ...report.days.map(row => line(formatDay(row.day), row)),
+    line('total', report.totals),
+  ].join('\n');
+}
@@ -0,0 +1,106 @@
+// MCP resources for Habitica MCP Server
+// Resources expose read-only account data under habitica:// URIs so clients
+// can attach it as context. Subscribers are notified when a request made
+// through this server changes the data behind a resource. Names and
+// descriptions are translated when listed, after the language is set.
+
+const TASK_TYPES = ['habits', 'dailys', 'todos', 'rewards'];
+
+export const RESOURCES = [
+  {
+    uri: 'habitica://tasks/dailys',
+    name: 'Dailies',
+    description: 'All dailies with due and completed state for the current day',
+    mimeType: 'application/json',
+  },
+  {
+    uri: 'habitica://tasks/habits',
+    name: 'Habits',
+    description: 'All habits with their current value',
+    mimeType: 'application/json',
+  },
+  {
+    uri: 'habitica://tasks/todos',
+    name: 'Todos',
+    description: 'Open todos with due dates and checklists',
+    mimeType: 'application/json',
+  },
+  {
+    uri: 'habitica://tasks/rewards',
+    name: 'Rewards',
+    description: 'Custom rewards and their cost',
+    mimeType: 'application/json',
+  },
+  {
+    uri: 'habitica://user/stats',
+    name: 'Stats',
+    description: 'Level, class, HP, MP, XP, gold and attributes',
+    mimeType: 'application/json',
+  },
+  {
+    uri: 'habitica://inventory',
+    name: 'Inventory',
+    description: 'Eggs, hatching potions, food, quest scrolls, special items, gear and the current pet and mount',
+    mimeType: 'application/json',
+  },
+  {
+    uri: 'habitica://tags',
+    name: 'Tags',
+    description: 'All tags and their IDs',
+    mimeType: 'application/json',
+  },
+];
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'habitica://tasks/{id}',
+    name: 'Task',
+    description: 'A single task by ID, including its checklist',
+    mimeType: 'application/json',
+  },
+];
+
+// { kind: 'tasks', type } | { kind: 'task', id } | { kind: 'stats' | 'inventory' | 'tags' } | null
+export function parseResourceUri(uri) {
+  const match = String(uri).match(/^habitica:\/\/(.+)$/);
+  if (!match) {
+    return null;
+  }
+  const path = match[1].replace(/\/+$/, '');
+  if (path === 'user/stats') return { kind: 'stats' };
+  if (path === 'inventory') return { kind: 'inventory' };
+  if (path === 'tags') return { kind: 'tags' };
+
+  const task = path.match(/^tasks\/([^/]+)$/);
+  if (task) {
+    return TASK_TYPES.includes(task[1])
+      ? { kind: 'tasks', type: task[1] }
+      : { kind: 'task', id: decodeURIComponent(task[1]) };
+  }
+  return null;
+}
+
+// Which resources a mutating API request may have changed. Returns URI
+// prefixes; an unknown endpoint conservatively affects everything.
+export function resourcesAffectedBy(method, url) {
+  if (!method || method.toLowerCase() === 'get') {
+    return [];
+  }
+  const path = String(url).split('?')[0];
+
+  if (/^\/tasks\/[^/]+\/score\//.test(path)) {
+    // Scoring changes stats and can drop items
+    return ['habitica://tasks/', 'habitica://user/stats', 'habitica://inventory'];
+  }
+  if (path.startsWith('/tasks')) return ['habitica://tasks/'];
+  if (path.startsWith('/tags')) return ['habitica://tags', 'habitica://tasks/'];
+  if (/^\/user\/(buy|purchase|feed|hatch|equip|sell|open-mystery-item)/.test(path)) {
+    return ['habitica://inventory', 'habitica://user/stats', 'habitica://tasks/rewards'];
+  }
+  if (path.startsWith('/user/class/cast')) return ['habitica://user/stats', 'habitica://tasks/'];
+  // Messages and notifications don't touch any resource
+  if (/\/chat(\/|$)|^\/members\/send-private-message|^\/inbox|^\/user\/(messages|mark-pms-read)|^\/notifications/.test(path)) {
+    return [];
+  }
+  return ['habitica://'];
+}
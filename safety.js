@@ -0,0 +1,63 @@
+// Confirmation tokens for Habitica MCP Server
+// Destructive and gold-spending tools can be made to return a preview plus a
+// one-time token instead of acting. The token is bound to the tool name and
+// its exact arguments, so a confirmed call can't do something else.
+import { randomBytes } from 'crypto';
+
+export const CONFIRMABLE_TOOLS = [
+  'delete_task',
+  'delete_checklist_item',
+  'buy_reward',
+  'buy_item',
+  'hatch_pet',
+  'feed_pet',
+  'bulk_tasks',
+];
+
+// How long a confirmation token stays valid
+export const TOKEN_TTL_MS = 5 * 60 * 1000;
+
+const pendingTokens = new Map();
+
+// Copy of value with object keys sorted at every level; array order is kept
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+  }
+  return value;
+}
+
+// Stable string for the arguments a token covers
+function argumentsKey(tool, args = {}) {
+  const { dryRun, confirmationToken, ...rest } = args;
+  return `${tool}:${JSON.stringify(sortKeys(rest))}`;
+}
+
+function pruneExpired(now) {
+  for (const [token, entry] of pendingTokens) {
+    if (entry.expiresAt <= now) {
+      pendingTokens.delete(token);
+    }
+  }
+}
+
+export function issueToken(tool, args, now = Date.now()) {
+  pruneExpired(now);
+  const token = randomBytes(6).toString('hex');
+  pendingTokens.set(token, { key: argumentsKey(tool, args), expiresAt: now + TOKEN_TTL_MS });
+  return token;
+}
+
+// Tokens are single-use; returns false for unknown, expired or mismatched tokens
+export function consumeToken(tool, args, token, now = Date.now()) {
+  pruneExpired(now);
+  const entry = pendingTokens.get(token);
+  if (!entry || entry.key !== argumentsKey(tool, args)) {
+    return false;
+  }
+  pendingTokens.delete(token);
+  return true;
+}
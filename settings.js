@@ -0,0 +1,261 @@
+// Settings loader for Habitica MCP Server
+// Settings come from, in increasing order of precedence: built-in defaults,
+// a JSON or YAML config file, environment variables and CLI flags. Each
+// source is validated on its own so errors name the flag, variable or file
+// that holds the bad value.
+import { existsSync, readFileSync } from 'fs';
+import { homedir } from 'os';
+import { extname, join } from 'path';
+import YAML from 'yaml';
+import { z } from 'zod';
+import { DEFAULT_USER_CACHE_TTL } from './cache.js';
+import { DEFAULT_CLIENT_OPTIONS } from './client.js';
+import { COMPATIBILITY_MODES } from './compat.js';
+import { DEFAULT_FORMAT, FORMATS } from './format.js';
+import { DEFAULT_HTTP_HOST, DEFAULT_HTTP_PORT, isLoopbackHost } from './http.js';
+
+// Tools by group, for the toolGroups setting
+export const TOOL_GROUPS = {
+  user: ['get_user_profile', 'get_stats', 'get_inventory'],
+  tasks: ['get_tasks', 'create_task', 'update_task', 'delete_task', 'score_task', 'bulk_tasks'],
+  checklists: ['get_task_checklist', 'add_checklist_item', 'update_checklist_item', 'delete_checklist_item', 'score_checklist_item'],
+  tags: ['get_tags', 'create_tag', 'update_tag', 'delete_tag', 'reorder_tag', 'add_tag_to_task', 'remove_tag_from_task'],
+  templates: ['save_task_template', 'list_task_templates', 'instantiate_template', 'delete_task_template'],
+  analytics: ['analyze_habits', 'productivity_report'],
+  backup: ['export_data', 'import_data'],
+  undo: ['get_undo_journal', 'undo_last', 'undo'],
+  accounts: ['list_accounts', 'switch_account'],
+  pets: ['get_pets', 'feed_pet', 'hatch_pet', 'get_mounts', 'equip_item'],
+  shop: ['get_shop', 'buy_item', 'buy_reward'],
+  notifications: ['get_notifications', 'read_notification'],
+  skills: ['cast_spell'],
+  party: ['get_party', 'get_party_members', 'get_party_chat', 'send_party_message', 'invite_to_party', 'remove_party_member', 'start_quest', 'accept_quest', 'reject_quest', 'force_start_quest', 'abort_quest'],
+  challenges: ['get_challenges', 'get_challenge', 'join_challenge', 'leave_challenge', 'create_challenge', 'export_challenge_progress', 'select_challenge_winner'],
+  guilds: ['get_guilds', 'join_guild', 'leave_guild', 'get_guild_chat', 'send_guild_message', 'like_chat_message', 'flag_chat_message', 'get_guild_members'],
+  messages: ['find_member', 'get_inbox', 'send_private_message', 'delete_private_message', 'mark_inbox_read'],
+};
+
+const CONFIG_FILE_NAMES = ['config.json', 'config.yaml', 'config.yml'];
+
+// Environment variables for each setting, first one set wins
+const ENV_VARIABLES = {
+  apiBaseUrl: ['HABITICA_API_BASE'],
+  timeout: ['HABITICA_TIMEOUT'],
+  proxy: ['HABITICA_PROXY'],
+  toolGroups: ['HABITICA_TOOL_GROUPS'],
+  format: ['HABITICA_FORMAT'],
+  safeMode: ['HABITICA_SAFE_MODE'],
+  language: ['MCP_LANG'],
+  transport: ['MCP_TRANSPORT'],
+  host: ['MCP_HTTP_HOST'],
+  port: ['MCP_HTTP_PORT'],
+  httpToken: ['MCP_HTTP_TOKEN'],
+  allowedOrigins: ['MCP_HTTP_ALLOWED_ORIGINS'],
+  backupDir: ['HABITICA_BACKUP_DIR'],
+  cacheTtl: ['HABITICA_CACHE_TTL'],
+  maxRetries: ['HABITICA_MAX_RETRIES'],
+  maxConcurrent: ['HABITICA_MAX_CONCURRENT'],
+  compatibilityCheck: ['HABITICA_COMPAT_CHECK'],
+};
+
+const CLI_OPTIONS = {
+  '--api-base': 'apiBaseUrl',
+  '--timeout': 'timeout',
+  '--proxy': 'proxy',
+  '--tool-groups': 'toolGroups',
+  '--format': 'format',
+  '--lang': 'language',
+  '--transport': 'transport',
+  '--host': 'host',
+  '--port': 'port',
+  '--http-token': 'httpToken',
+  '--allowed-origins': 'allowedOrigins',
+  '--backup-dir': 'backupDir',
+  '--cache-ttl': 'cacheTtl',
+  '--max-retries': 'maxRetries',
+  '--max-concurrent': 'maxConcurrent',
+  '--compat-check': 'compatibilityCheck',
+};
+
+// Flags that take no value: [setting, value when on, value when off]. An
+// inline boolean (--safe-mode=false) picks one explicitly
+const CLI_SWITCHES = {
+  '--http': ['transport', 'http', 'stdio'],
+  '--stdio': ['transport', 'stdio', 'http'],
+  '--safe-mode': ['safeMode', true, false],
+  '--no-safe-mode': ['safeMode', false, true],
+};
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'on'];
+const FALSE_VALUES = ['0', 'false', 'no', 'off'];
+
+// Env and CLI values are strings; anything unrecognised is left for zod to reject
+const booleanSetting = z.preprocess((value) => {
+  if (typeof value !== 'string') return value;
+  const text = value.trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return value;
+}, z.boolean());
+
+const integerSetting = z.coerce.number().int();
+
+// Lists can be given as a comma-separated string
+const listSetting = schema => z.preprocess(value => (typeof value === 'string' ? value.split(',').map(entry => entry.trim()).filter(Boolean) : value), schema);
+
+const configSchema = z.object({
+  apiBaseUrl: z.string().url().transform(url => url.replace(/\/+$/, '')),
+  timeout: integerSetting.min(0),
+  // false turns off proxies, including HTTP(S)_PROXY from the environment
+  proxy: z.preprocess(value => (typeof value === 'string' && ['false', 'off', 'none'].includes(value.toLowerCase()) ? false : value),
+    z.union([z.literal(false), z.string().url()]).optional()),
+  toolGroups: listSetting(z.array(z.enum(Object.keys(TOOL_GROUPS))).min(1)),
+  format: z.enum(FORMATS),
+  safeMode: booleanSetting,
+  language: z.string().min(1),
+  transport: z.enum(['stdio', 'http']),
+  host: z.string().min(1),
+  port: integerSetting.min(0).max(65535),
+  httpToken: z.string().min(16, 'Use a token of at least 16 characters').optional(),
+  allowedOrigins: listSetting(z.array(z.string().url().transform(url => new URL(url).origin))),
+  backupDir: z.string().min(1).optional(),
+  cacheTtl: integerSetting.min(0),
+  maxRetries: integerSetting.min(0),
+  maxConcurrent: integerSetting.min(1),
+  compatibilityCheck: z.enum(COMPATIBILITY_MODES),
+});
+
+function defaultConfig(env) {
+  return {
+    apiBaseUrl: 'https://habitica.com/api/v3',
+    timeout: 30 * 1000,
+    toolGroups: Object.keys(TOOL_GROUPS),
+    format: DEFAULT_FORMAT,
+    safeMode: false,
+    // The system locale only applies when nothing else sets a language
+    language: env.LANG || 'en',
+    transport: 'stdio',
+    host: DEFAULT_HTTP_HOST,
+    port: DEFAULT_HTTP_PORT,
+    allowedOrigins: [],
+    cacheTtl: DEFAULT_USER_CACHE_TTL,
+    maxRetries: DEFAULT_CLIENT_OPTIONS.maxRetries,
+    maxConcurrent: DEFAULT_CLIENT_OPTIONS.maxConcurrent,
+    compatibilityCheck: 'auto',
+  };
+}
+
+// { settings, configPath, names }; names maps each setting to the flag that set it
+function switchValue(flag, inline) {
+  const text = inline?.trim().toLowerCase();
+  if (text === undefined || TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  throw new Error(`Option ${flag} takes no value or one of ${[...TRUE_VALUES, ...FALSE_VALUES].join(', ')}`);
+}
+
+function parseArgs(argv) {
+  const settings = {};
+  const names = {};
+  let configPath = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    if (CLI_SWITCHES[flag]) {
+      const [key, on, off] = CLI_SWITCHES[flag];
+      settings[key] = switchValue(flag, inline) ? on : off;
+      names[key] = flag;
+      continue;
+    }
+    if (flag !== '--config' && !CLI_OPTIONS[flag]) {
+      throw new Error(`Unknown option ${flag}`);
+    }
+    const value = inline ?? argv[++i];
+    if (value === undefined) {
+      throw new Error(`Option ${flag} needs a value`);
+    }
+    if (flag === '--config') {
+      configPath = value;
+    } else {
+      settings[CLI_OPTIONS[flag]] = value;
+      names[CLI_OPTIONS[flag]] = flag;
+    }
+  }
+  return { settings, configPath, names };
+}
+
+function envSettings(env) {
+  const settings = {};
+  const names = {};
+  for (const [key, variables] of Object.entries(ENV_VARIABLES)) {
+    const variable = variables.find(name => env[name] !== undefined && env[name] !== '');
+    if (variable) {
+      settings[key] = env[variable];
+      names[key] = variable;
+    }
+  }
+  return { settings, names };
+}
+
+// An explicit path must exist; otherwise the first default file found is used
+function findConfigFile(explicitPath) {
+  if (explicitPath) {
+    if (!existsSync(explicitPath)) {
+      throw new Error(`Config file not found: ${explicitPath}`);
+    }
+    return explicitPath;
+  }
+  const directory = join(homedir(), '.habitica-mcp');
+  return CONFIG_FILE_NAMES.map(name => join(directory, name)).find(path => existsSync(path)) || null;
+}
+
+function readConfigFile(filePath) {
+  const text = readFileSync(filePath, 'utf8');
+  let data;
+  try {
+    data = extname(filePath).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Could not parse config file ${filePath}: ${error.message}`);
+  }
+  if (data === null || data === undefined) {
+    return {};
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Config file ${filePath} must contain an object of settings`);
+  }
+  return data;
+}
+
+function validate(settings, source, names = {}) {
+  const result = configSchema.partial().strict().safeParse(settings);
+  if (!result.success) {
+    const issues = result.error.issues.map((issue) => {
+      if (issue.code === 'unrecognized_keys') {
+        return `unknown setting ${issue.keys.join(', ')}`;
+      }
+      const key = issue.path[0];
+      return `${names[key] || issue.path.join('.')}: ${issue.message}`;
+    });
+    throw new Error(`Invalid configuration in ${source}: ${issues.join('; ')}`);
+  }
+  return result.data;
+}
+
+export function loadConfig(argv = [], env = process.env) {
+  const cli = parseArgs(argv);
+  const configFile = findConfigFile(cli.configPath || env.HABITICA_CONFIG);
+  const environment = envSettings(env);
+
+  const config = {
+    ...defaultConfig(env),
+    ...(configFile ? validate(readConfigFile(configFile), `config file ${configFile}`) : {}),
+    ...validate(environment.settings, 'environment variables', environment.names),
+    ...validate(cli.settings, 'command-line flags', cli.names),
+  };
+  const settings = configSchema.parse(config);
+
+  // Off loopback, anyone who can reach the port could drive the Habitica accounts
+  if (settings.transport === 'http' && !isLoopbackHost(settings.host) && !settings.httpToken) {
+    throw new Error(`Serving HTTP on ${settings.host} needs an access token: set httpToken, MCP_HTTP_TOKEN or --http-token`);
+  }
+  return { ...settings, configFile };
+}
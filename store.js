@@ -0,0 +1,53 @@
+// Local JSON file storage for Habitica MCP Server
+// Backs the undo journal and task templates. Each store reads its whole file
+// and writes it back; a missing file reads as the store's empty value.
+import { promises as fs } from 'fs';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+
+// $envVariable, or fileName under ~/.habitica-mcp
+export function dataFilePath(envVariable, fileName) {
+  return process.env[envVariable] || join(homedir(), '.habitica-mcp', fileName);
+}
+
+// filePath() is read on every access so the environment can change it.
+// beforeWrite(data) may return a trimmed copy to save instead.
+export function createJsonStore({ filePath, empty, beforeWrite = data => data }) {
+  // Tool calls can run concurrently; updates to the file are chained so one
+  // read-modify-write never overwrites another
+  let pendingUpdate = Promise.resolve();
+
+  async function load() {
+    try {
+      return JSON.parse(await fs.readFile(filePath(), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return empty();
+      }
+      throw error;
+    }
+  }
+
+  async function write(data) {
+    const path = filePath();
+    await fs.mkdir(dirname(path), { recursive: true });
+    await fs.writeFile(path, `${JSON.stringify(beforeWrite(data), null, 2)}\n`, 'utf8');
+  }
+
+  // update(data) changes data in place; the file is only written when it
+  // returns a truthy outcome, which is passed back to the caller
+  function update(change) {
+    const result = pendingUpdate.then(async () => {
+      const data = await load();
+      const outcome = change(data);
+      if (outcome) {
+        await write(data);
+      }
+      return outcome;
+    });
+    pendingUpdate = result.catch(() => {});
+    return result;
+  }
+
+  return { filePath, load, update };
+}
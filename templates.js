@@ -0,0 +1,95 @@
+// Task template storage for Habitica MCP Server
+// Templates live in a local JSON file keyed by template name. Strings in a
+// template may contain placeholders: {{name}} is filled from instantiation
+// variables, {{date}} / {{date+7d}} / {{date-1w}} / {{date+1m}} resolve to
+// an ISO day relative to the user's current Habitica day.
+import { addMonths, formatDay } from './dates.js';
+import { createJsonStore, dataFilePath } from './store.js';
+
+const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const DATE_PLACEHOLDER = /^date(?:\s*([+-])\s*(\d+)\s*([dwm]))?$/;
+
+export function templatesFilePath() {
+  return dataFilePath('HABITICA_TEMPLATES_FILE', 'templates.json');
+}
+
+const templatesStore = createJsonStore({ filePath: templatesFilePath, empty: () => ({}) });
+
+const updateTemplates = templatesStore.update;
+
+export const loadTemplates = templatesStore.load;
+
+// Returns false when a template with that name exists and overwrite is off
+export function saveTemplate(template, overwrite = false) {
+  return updateTemplates(templates => {
+    if (templates[template.name] && !overwrite) {
+      return false;
+    }
+    templates[template.name] = { ...template, updatedAt: new Date().toISOString() };
+    return true;
+  });
+}
+
+export function deleteTemplate(name) {
+  return updateTemplates(templates => {
+    if (!templates[name]) {
+      return false;
+    }
+    delete templates[name];
+    return true;
+  });
+}
+
+function collectPlaceholders(value, found) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(PLACEHOLDER)) {
+      found.add(match[1]);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectPlaceholders(item, found));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectPlaceholders(item, found));
+  }
+  return found;
+}
+
+// Names of the variables a template needs, excluding date placeholders
+export function templateVariables(template) {
+  return [...collectPlaceholders(template.tasks, new Set())].filter(name => !DATE_PLACEHOLDER.test(name));
+}
+
+function resolveDatePlaceholder(match, today) {
+  const [, sign, amount, unit] = match;
+  if (!sign) {
+    return formatDay(today);
+  }
+  const delta = Number(amount) * (sign === '-' ? -1 : 1);
+  if (unit === 'm') {
+    return formatDay(addMonths(today, delta));
+  }
+  return formatDay(today + delta * (unit === 'w' ? 7 : 1));
+}
+
+function substitute(value, variables, today) {
+  if (typeof value === 'string') {
+    return value.replace(PLACEHOLDER, (placeholder, name) => {
+      const dateMatch = name.match(DATE_PLACEHOLDER);
+      if (dateMatch) {
+        return resolveDatePlaceholder(dateMatch, today);
+      }
+      return name in variables ? String(variables[name]) : placeholder;
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substitute(item, variables, today));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item, variables, today)]));
+  }
+  return value;
+}
+
+// Expand a template into create_task payloads. `today` is a day index from dates.js
+export function renderTemplate(template, variables = {}, today) {
+  return substitute(template.tasks, variables, today);
+}
@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, symlinkSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, it } from 'node:test';
+import { confineBackupPaths, readBackupFile, resolveBackupPath, writeBackupFile } from '../backup.js';
+
+const directory = mkdtempSync(join(tmpdir(), 'habitica-backup-'));
+const backups = join(directory, 'backups');
+const outside = join(directory, 'outside');
+mkdirSync(outside);
+writeFileSync(join(outside, 'secret.txt'), 'secret');
+after(() => rmSync(directory, { recursive: true, force: true }));
+
+describe('backup paths', () => {
+  // Runs first: paths stay unconfined until confineBackupPaths is called
+  it('allows any path when unconfined', async () => {
+    assert.equal(await readBackupFile(join(outside, 'secret.txt')), 'secret');
+  });
+
+  it('allows no paths when disabled', async () => {
+    confineBackupPaths(null);
+    await assert.rejects(readBackupFile(join(outside, 'secret.txt')), /file paths are disabled/);
+    await assert.rejects(writeBackupFile('backup.json', '{}'), /file paths are disabled/);
+  });
+
+  it('resolves relative paths inside the backup directory', async () => {
+    confineBackupPaths(backups);
+    assert.equal(resolveBackupPath('nested/backup.json'), join(backups, 'nested', 'backup.json'));
+    assert.equal(await writeBackupFile('nested/backup.json', '{}'), true);
+    assert.equal(await writeBackupFile('nested/backup.json', '{}'), false);
+    assert.equal(readFileSync(join(backups, 'nested', 'backup.json'), 'utf8'), '{}');
+    assert.equal(await readBackupFile(join(backups, 'nested', 'backup.json')), '{}');
+  });
+
+  it('rejects paths leading out of the backup directory', async () => {
+    confineBackupPaths(backups);
+    await assert.rejects(readBackupFile(join(outside, 'secret.txt')), /outside the backup directory/);
+    await assert.rejects(readBackupFile('../outside/secret.txt'), /outside the backup directory/);
+    await assert.rejects(writeBackupFile('../escape.json', '{}'), /outside the backup directory/);
+  });
+
+  it('rejects symlinks out of the backup directory', async () => {
+    confineBackupPaths(backups);
+    mkdirSync(backups, { recursive: true });
+    symlinkSync(outside, join(backups, 'link'));
+    await assert.rejects(readBackupFile('link/secret.txt'), /leads outside the backup directory/);
+    await assert.rejects(writeBackupFile('link/new/file.json', '{}'), /leads outside the backup directory/);
+  });
+});
@@ -0,0 +1,120 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { AxiosError } from 'axios';
+import { createHabiticaClient } from '../client.js';
+
+// Adapter answering with the given responses in turn; each is
+// { status, headers } or { code } for a network error
+function scriptedAdapter(responses) {
+  const calls = [];
+  const adapter = async (config) => {
+    calls.push(Date.now());
+    const { status = 200, headers = {}, code } = responses[Math.min(calls.length, responses.length) - 1];
+    if (code) {
+      throw new AxiosError('network error', code, config);
+    }
+    const response = { data: { data: calls.length }, status, statusText: '', headers, config, request: {} };
+    if (status >= 400) {
+      throw new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, {}, response);
+    }
+    return response;
+  };
+  return { adapter, calls };
+}
+
+function client(responses, options = {}) {
+  const { adapter, calls } = scriptedAdapter(responses);
+  return { client: createHabiticaClient({ baseURL: 'http://habitica.test', adapter }, { retryBaseDelay: 10, ...options }), calls };
+}
+
+describe('createHabiticaClient retries', () => {
+  it('retries a GET on 5xx and resolves with the later response', async () => {
+    const { client: api, calls } = client([{ status: 503 }, { status: 502 }, { status: 200 }]);
+    const response = await api.get('/tasks/user');
+    assert.equal(response.data.data, 3);
+    assert.equal(calls.length, 3);
+  });
+
+  it('retries network errors and 429', async () => {
+    const { client: api, calls } = client([{ code: 'ECONNRESET' }, { status: 429 }, { status: 200 }]);
+    await api.get('/user');
+    assert.equal(calls.length, 3);
+  });
+
+  it('does not retry a POST', async () => {
+    const { client: api, calls } = client([{ status: 503 }, { status: 200 }]);
+    await assert.rejects(api.post('/tasks/user', {}), error => error.response.status === 503);
+    assert.equal(calls.length, 1);
+  });
+
+  it('does not retry other 4xx responses', async () => {
+    const { client: api, calls } = client([{ status: 404 }, { status: 200 }]);
+    await assert.rejects(api.get('/tasks/missing'), error => error.rateLimit.retries === 0);
+    assert.equal(calls.length, 1);
+  });
+
+  it('gives up after maxRetries and reports the retries', async () => {
+    const { client: api, calls } = client([{ status: 500 }], { maxRetries: 2 });
+    await assert.rejects(api.get('/user'), error => error.response.status === 500 && error.rateLimit.retries === 2);
+    assert.equal(calls.length, 3);
+  });
+
+  it('backs off exponentially between attempts', async () => {
+    const { client: api, calls } = client([{ status: 500 }, { status: 500 }, { status: 500 }, { status: 200 }], { retryBaseDelay: 40 });
+    await api.get('/user');
+    const gaps = calls.slice(1).map((time, i) => time - calls[i]);
+    assert.ok(gaps[0] >= 35, `first gap ${gaps[0]}`);
+    assert.ok(gaps[1] >= 75, `second gap ${gaps[1]}`);
+    assert.ok(gaps[2] >= 155, `third gap ${gaps[2]}`);
+  });
+
+  it('waits for Retry-After before retrying', async () => {
+    const { client: api, calls } = client([{ status: 429, headers: { 'retry-after': '1' } }, { status: 200 }]);
+    await api.get('/user');
+    assert.ok(calls[1] - calls[0] >= 1000, `retried after ${calls[1] - calls[0]}ms`);
+  });
+
+  it('caps the Retry-After wait at maxRetryDelay', async () => {
+    const { client: api, calls } = client([{ status: 503, headers: { 'retry-after': '30' } }, { status: 200 }], { maxRetryDelay: 50 });
+    await api.get('/user');
+    assert.ok(calls[1] - calls[0] < 1000, `retried after ${calls[1] - calls[0]}ms`);
+  });
+
+  it('runs later response interceptors once for a retried request', async () => {
+    const { client: api } = client([{ status: 503 }, { status: 503 }, { status: 200 }]);
+    let runs = 0;
+    api.interceptors.response.use((response) => {
+      runs++;
+      return response;
+    });
+    await api.get('/user');
+    assert.equal(runs, 1);
+  });
+});
+
+describe('createHabiticaClient rate limit', () => {
+  it('records the budget from X-RateLimit headers', async () => {
+    const reset = new Date(Date.now() + 60 * 1000).toUTCString();
+    const { client: api } = client([{ headers: { 'x-ratelimit-limit': '30', 'x-ratelimit-remaining': '12', 'x-ratelimit-reset': reset } }]);
+    await api.get('/user');
+    const state = api.rateLimit();
+    assert.equal(state.limit, 30);
+    assert.equal(state.remaining, 12);
+    assert.equal(state.resetAt, new Date(reset).getTime());
+  });
+
+  it('queues requests beyond maxConcurrent', async () => {
+    let active = 0;
+    let peak = 0;
+    const adapter = async (config) => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      active--;
+      return { data: {}, status: 200, statusText: '', headers: {}, config, request: {} };
+    };
+    const api = createHabiticaClient({ adapter }, { maxConcurrent: 2 });
+    await Promise.all(Array.from({ length: 5 }, () => api.get('/user')));
+    assert.equal(peak, 2);
+  });
+});
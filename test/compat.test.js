@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { checkCompatibility, shouldCheckCompatibility } from '../compat.js';
+
+const FULL_CONTENT = {
+  spells: { wizard: { fireball: {} } },
+  quests: { dilatory: {} },
+  eggs: { Wolf: {} },
+  hatchingPotions: { Base: {} },
+  food: { Meat: {} },
+};
+
+function httpError(status) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+}
+
+// Client whose GETs answer from routes: a status code fails with that status,
+// anything else is returned as the response's data.data
+function fakeClient(routes = {}) {
+  const requested = [];
+  return {
+    requested,
+    async get(path) {
+      requested.push(path);
+      const route = path.split('?')[0];
+      const answer = route in routes ? routes[route] : route === '/status' ? { status: 'up' } : route === '/content' ? FULL_CONTENT : [];
+      if (answer instanceof Error) throw answer;
+      if (typeof answer === 'number') throw httpError(answer);
+      return { data: { data: answer } };
+    },
+  };
+}
+
+describe('shouldCheckCompatibility', () => {
+  it('skips habitica.com in auto mode', () => {
+    assert.equal(shouldCheckCompatibility('auto', 'https://habitica.com/api/v3'), false);
+    assert.equal(shouldCheckCompatibility('auto', 'https://beta.habitica.com/api/v3'), false);
+    assert.equal(shouldCheckCompatibility('auto', 'http://habitica.local:3000/api/v3'), true);
+  });
+
+  it('follows on and off', () => {
+    assert.equal(shouldCheckCompatibility('on', 'https://habitica.com/api/v3'), true);
+    assert.equal(shouldCheckCompatibility('off', 'http://habitica.local/api/v3'), false);
+  });
+});
+
+describe('checkCompatibility', () => {
+  it('disables nothing on a complete server', async () => {
+    const client = fakeClient();
+    const result = await checkCompatibility(client, 'http://habitica.local/api/v3');
+    assert.equal(result.reachable, true);
+    assert.equal(result.disabled.size, 0);
+    assert.deepEqual(result.warnings, []);
+  });
+
+  it('disables the tools of a missing endpoint', async () => {
+    const result = await checkCompatibility(fakeClient({ '/challenges/user': 404, '/inbox/messages': 501 }), 'http://habitica.local/api/v3');
+    assert.ok(result.disabled.has('get_challenges'));
+    assert.ok(result.disabled.has('select_challenge_winner'));
+    assert.ok(result.disabled.has('get_inbox'));
+    assert.match(result.disabled.get('get_challenges'), /GET \/challenges\/user/);
+    assert.ok(!result.disabled.has('get_tags'));
+  });
+
+  it('keeps tools enabled when a probe fails for another reason', async () => {
+    const result = await checkCompatibility(fakeClient({ '/tags': 500 }), 'http://habitica.local/api/v3');
+    assert.ok(!result.disabled.has('get_tags'));
+    assert.equal(result.warnings.length, 1);
+    assert.match(result.warnings[0], /GET \/tags/);
+  });
+
+  it('disables tools for content the server lacks', async () => {
+    const content = { ...FULL_CONTENT, spells: {}, food: undefined };
+    const result = await checkCompatibility(fakeClient({ '/content': content }), 'http://habitica.local/api/v3');
+    assert.ok(result.disabled.has('cast_spell'));
+    assert.ok(result.disabled.has('feed_pet'));
+    assert.ok(!result.disabled.has('hatch_pet'));
+    assert.ok(!result.disabled.has('start_quest'));
+  });
+
+  it('skips the checks when the server is unreachable', async () => {
+    const unreachable = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    const client = fakeClient({ '/status': unreachable });
+    const result = await checkCompatibility(client, 'http://habitica.local/api/v3');
+    assert.equal(result.reachable, false);
+    assert.equal(result.disabled.size, 0);
+    assert.deepEqual(client.requested, ['/status']);
+    assert.match(result.warnings[0], /ECONNREFUSED/);
+  });
+
+  it('warns when the status is not up', async () => {
+    const result = await checkCompatibility(fakeClient({ '/status': { status: 'down' } }), 'http://habitica.local/api/v3');
+    assert.equal(result.reachable, true);
+    assert.match(result.warnings[0], /"down"/);
+  });
+});
@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { addMonths, dayIndexOf, formatDay, resolveDueDate, userToday } from '../dates.js';
+
+// Wednesday 2026-10-14, midday UTC
+const NOW = new Date('2026-10-14T12:00:00Z');
+
+function dueDay(input, preferences = {}) {
+  return formatDay(dayIndexOf(resolveDueDate(input, preferences, NOW), preferences.timezoneOffset || 0));
+}
+
+describe('resolveDueDate', () => {
+  it('reads ISO days as midnight in the user timezone', () => {
+    assert.equal(resolveDueDate('2026-10-20', {}, NOW).toISOString(), '2026-10-20T00:00:00.000Z');
+    // UTC+2 reports a timezoneOffset of -120
+    assert.equal(resolveDueDate('2026-10-20', { timezoneOffset: -120 }, NOW).toISOString(), '2026-10-19T22:00:00.000Z');
+  });
+
+  it('keeps full ISO timestamps as given', () => {
+    assert.equal(resolveDueDate('2026-10-20T09:30:00Z', {}, NOW).toISOString(), '2026-10-20T09:30:00.000Z');
+  });
+
+  it('resolves relative phrases from the user day', () => {
+    assert.equal(dueDay('today'), '2026-10-14');
+    assert.equal(dueDay('Tomorrow'), '2026-10-15');
+    assert.equal(dueDay('in 3 days'), '2026-10-17');
+    assert.equal(dueDay('in a week'), '2026-10-21');
+    assert.equal(dueDay('in 2 months'), '2026-12-14');
+    assert.equal(dueDay('end of month'), '2026-10-31');
+  });
+
+  it('resolves weekdays', () => {
+    assert.equal(dueDay('friday'), '2026-10-16');
+    assert.equal(dueDay('wednesday'), '2026-10-14');
+    assert.equal(dueDay('next wednesday'), '2026-10-21');
+    assert.equal(dueDay('this  Sat'), '2026-10-17');
+  });
+
+  it('uses the custom day start', () => {
+    const early = new Date('2026-10-14T03:00:00Z');
+    assert.equal(formatDay(userToday({ dayStart: 4 }, early)), '2026-10-13');
+    assert.equal(formatDay(userToday({ dayStart: 0 }, early)), '2026-10-14');
+  });
+
+  it('rejects text it does not understand', () => {
+    assert.throws(() => resolveDueDate('someday', {}, NOW), /Unrecognized date: someday/);
+    assert.throws(() => resolveDueDate('2026-13-45T00:00', {}, NOW), /Invalid date/);
+  });
+});
+
+describe('addMonths', () => {
+  it('clamps to the end of shorter months', () => {
+    const jan31 = dayIndexOf('2026-01-31T00:00:00Z');
+    assert.equal(formatDay(addMonths(jan31, 1)), '2026-02-28');
+    assert.equal(formatDay(addMonths(jan31, -2)), '2025-11-30');
+  });
+});
@@ -0,0 +1,147 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { BACKUP_SCHEMA_VERSION } from '../backup.js';
+import { detectFormat, parseCsv, parseImport } from '../importers.js';
+
+const TODOIST_HEADER = 'TYPE,CONTENT,DESCRIPTION,PRIORITY,INDENT,AUTHOR,RESPONSIBLE,DATE,DATE_LANG,TIMEZONE';
+
+describe('parseCsv', () => {
+  it('handles quotes, doubled quotes and newlines inside quotes', () => {
+    assert.deepEqual(parseCsv('a,b\r\n"x, y","say ""hi""\nagain"\n'), [
+      ['a', 'b'],
+      ['x, y', 'say "hi"\nagain'],
+    ]);
+  });
+
+  it('drops blank lines', () => {
+    assert.deepEqual(parseCsv('a\n\n,\nb'), [['a'], ['b']]);
+  });
+});
+
+describe('detectFormat', () => {
+  it('uses the file extension first', () => {
+    assert.equal(detectFormat('', 'backup.json'), 'json');
+    assert.equal(detectFormat('text,type\n', 'tasks.csv'), 'csv');
+    assert.equal(detectFormat(`${TODOIST_HEADER}\n`, 'export.csv'), 'todoist');
+    assert.equal(detectFormat('', 'notes.md'), 'markdown');
+  });
+
+  it('falls back to the contents', () => {
+    assert.equal(detectFormat('  {"tasks": []}'), 'json');
+    assert.equal(detectFormat('# Plan\n- buy milk'), 'markdown');
+    assert.equal(detectFormat(`\uFEFF${TODOIST_HEADER}\n`), 'todoist');
+    assert.equal(detectFormat('text,type\nA,todo'), 'csv');
+  });
+});
+
+describe('parseImport markdown', () => {
+  it('turns top-level items into todos and nested items into checklist entries', () => {
+    const { tasks } = parseImport([
+      '# Weekend',
+      '- [ ] Clean garage #home !!',
+      '  - [x] Sort tools',
+      '  - Sweep floor #chores',
+      '1. Call mom !',
+      '* [X] Done already',
+    ].join('\n'), 'markdown');
+
+    assert.deepEqual(tasks, [
+      {
+        type: 'todo',
+        text: 'Clean garage',
+        priority: 1.5,
+        tags: ['home', 'chores'],
+        checklist: [{ text: 'Sort tools', completed: true }, { text: 'Sweep floor', completed: false }],
+      },
+      { type: 'todo', text: 'Call mom', priority: 1, tags: [], checklist: [] },
+      { type: 'todo', text: 'Done already', completed: true, tags: [], checklist: [] },
+    ]);
+  });
+});
+
+describe('parseImport todoist', () => {
+  it('maps priorities, labels, sub-tasks, notes and dates', () => {
+    const csv = [
+      TODOIST_HEADER,
+      'task,Ship release @work,Final checks,1,1,,,2026-10-20 10:00,en,',
+      'task,Write changelog,,4,2,,,,en,',
+      'note,Remember the blog post,,,,,,,,',
+      'task,Water plants,,2,1,,,every day,en,',
+      'task,Read book,,3,1,,,2026-11-01,en,',
+      'task,Someday,,4,1,,,,en,',
+      'section,Later,,,,,,,,',
+    ].join('\n');
+    const { source, tasks } = parseImport(csv, 'auto', 'export.csv');
+
+    assert.equal(source, 'todoist');
+    assert.deepEqual(tasks, [
+      {
+        type: 'todo',
+        text: 'Ship release',
+        notes: 'Final checks\n\nTodoist date: 2026-10-20 10:00\n\nRemember the blog post',
+        priority: 2,
+        date: '2026-10-20',
+        tags: ['work'],
+        checklist: [{ text: 'Write changelog', completed: false }],
+      },
+      { type: 'todo', text: 'Water plants', notes: 'Todoist date: every day', priority: 1.5, tags: [], checklist: [] },
+      { type: 'todo', text: 'Read book', priority: 1, date: '2026-11-01', tags: [], checklist: [] },
+      { type: 'todo', text: 'Someday', tags: [], checklist: [] },
+    ]);
+  });
+});
+
+describe('parseImport csv', () => {
+  it('reads export_data CSV rows', () => {
+    const csv = [
+      'schema_version,id,type,text,notes,priority,completed,date,tags,checklist,frequency,everyX',
+      `${BACKUP_SCHEMA_VERSION},t1,daily,Stretch,,1.5,false,,health; morning,[x] Neck | [ ] Back,daily,1`,
+      `${BACKUP_SCHEMA_VERSION},t2,,Plain,,,true,,,,,`,
+    ].join('\n');
+    const { tasks } = parseImport(csv, 'csv');
+
+    assert.deepEqual(tasks, [
+      {
+        type: 'daily',
+        text: 'Stretch',
+        priority: 1.5,
+        frequency: 'daily',
+        everyX: 1,
+        tags: ['health', 'morning'],
+        checklist: [{ text: 'Neck', completed: true }, { text: 'Back', completed: false }],
+      },
+      { type: 'todo', text: 'Plain', completed: true, tags: [], checklist: [] },
+    ]);
+  });
+
+  it('needs a text column and a supported schema version', () => {
+    assert.throws(() => parseImport('name\nA', 'csv'), /"text" column/);
+    assert.throws(() => parseImport(`schema_version,text\n${BACKUP_SCHEMA_VERSION + 1},A`, 'csv'), /newer than supported/);
+  });
+});
+
+describe('parseImport json', () => {
+  it('maps tag IDs to names and skips challenge tasks', () => {
+    const backup = {
+      schemaVersion: BACKUP_SCHEMA_VERSION,
+      tags: [{ id: 'g1', name: 'Work' }, { id: 'g2', name: 'Challenge', challenge: true }],
+      tasks: [
+        { type: 'todo', text: 'Report', tags: ['g1'], checklist: [{ text: 'Draft', completed: 1, id: 'c1' }], history: [{}] },
+        { type: 'habit', text: 'Challenge habit', challenge: { id: 'ch1' } },
+        { type: 'reward', text: 'Coffee', value: 20 },
+      ],
+    };
+    const { tags, tasks } = parseImport(JSON.stringify(backup), 'json');
+
+    assert.deepEqual(tags, [{ id: 'g1', name: 'Work' }]);
+    assert.deepEqual(tasks, [
+      { type: 'todo', text: 'Report', tags: ['Work'], checklist: [{ text: 'Draft', completed: true }] },
+      { type: 'reward', text: 'Coffee', value: 20, tags: [], checklist: [] },
+    ]);
+  });
+
+  it('rejects files that are not backups', () => {
+    assert.throws(() => parseImport('{"hello": 1}', 'json'), /missing "tasks"/);
+    assert.throws(() => parseImport('{}', 'yaml'), /Unsupported import format/);
+  });
+});
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, beforeEach, describe, it } from 'node:test';
+
+const directory = mkdtempSync(join(tmpdir(), 'habitica-journal-'));
+process.env.HABITICA_JOURNAL_FILE = join(directory, 'journal.json');
+after(() => rmSync(directory, { recursive: true, force: true }));
+
+const { JOURNAL_LIMIT, appendEntry, claimUndo, finishUndo, loadJournal, restorableTask } = await import('../journal.js');
+
+describe('undo journal', () => {
+  beforeEach(() => rmSync(process.env.HABITICA_JOURNAL_FILE, { force: true }));
+
+  it('keeps concurrent appends', async () => {
+    await Promise.all(Array.from({ length: 5 }, (_, i) => appendEntry({ tool: 'create_task', taskId: `t${i}`, account: 'alice' })));
+    assert.equal((await loadJournal()).length, 5);
+  });
+
+  it('caps the journal at JOURNAL_LIMIT entries', async () => {
+    for (let i = 0; i < JOURNAL_LIMIT + 3; i++) {
+      await appendEntry({ tool: 'create_task', taskId: `t${i}` });
+    }
+    const journal = await loadJournal();
+    assert.equal(journal.length, JOURNAL_LIMIT);
+    assert.equal(journal[0].taskId, 't3');
+  });
+
+  it('claims the newest entry of the account only once', async () => {
+    const alice = await appendEntry({ tool: 'create_task', taskId: 'a', account: 'alice' });
+    await appendEntry({ tool: 'create_task', taskId: 'b', account: 'bob' });
+
+    const [first, second] = await Promise.allSettled([claimUndo(null, 'alice'), claimUndo(null, 'alice')]);
+    assert.equal(first.value.id, alice.id);
+    assert.match(second.reason.message, /Nothing to undo/);
+  });
+
+  it('does not let an account claim another account\'s entry by ID', async () => {
+    const bob = await appendEntry({ tool: 'delete_task', taskId: 'b', account: 'bob' });
+    await assert.rejects(claimUndo(bob.id, 'alice'), /entry not found/);
+    assert.equal((await claimUndo(bob.id, 'bob')).id, bob.id);
+  });
+
+  it('releases a claim when the undo failed', async () => {
+    const entry = await appendEntry({ tool: 'update_task', taskId: 'u', account: 'alice' });
+    await claimUndo(entry.id, 'alice');
+    await assert.rejects(claimUndo(entry.id, 'alice'), /already undone/);
+    await finishUndo(entry.id, { failed: true });
+    assert.equal((await claimUndo(entry.id, 'alice')).id, entry.id);
+  });
+});
+
+describe('restorableTask', () => {
+  it('keeps what is needed to recreate a task and drops its history', () => {
+    const task = {
+      id: 't1',
+      type: 'daily',
+      text: 'Stretch',
+      value: 4.2,
+      streak: 12,
+      history: Array.from({ length: 100 }, (_, i) => ({ date: i, value: i })),
+      checklist: [{ id: 'c1', text: 'Neck', completed: 1 }],
+      notes: null,
+      tags: ['g1'],
+    };
+    const restored = restorableTask(task);
+    assert.deepEqual(restored, { type: 'daily', text: 'Stretch', tags: ['g1'], checklist: [{ text: 'Neck', completed: true }] });
+    assert.deepEqual(restorableTask(restored), restored);
+  });
+
+  it('keeps the cost of rewards', () => {
+    assert.equal(restorableTask({ type: 'reward', text: 'Coffee', value: 20 }).value, 20);
+  });
+});
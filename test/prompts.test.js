@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict';
+import { after, describe, it } from 'node:test';
+import { DEFAULT_FORMAT, setDefaultFormat } from '../format.js';
+import { bossQuestPrompt, planMyDayPrompt } from '../prompts.js';
+
+const STATS = { lvl: 12, class: 'wizard', hp: 31.456, maxHealth: 50, mp: 20, maxMP: 40, exp: 100, toNextLevel: 300, gp: 12.345 };
+
+const text = prompt => prompt.messages[0].content.text;
+
+describe('prompts', () => {
+  after(() => setDefaultFormat(DEFAULT_FORMAT));
+
+  it('embeds stats as a summary whatever the default format', () => {
+    setDefaultFormat('raw');
+    const prompt = planMyDayPrompt({ today: 20740, stats: STATS, dailies: [], overdue: [], dueToday: [], upcoming: [], quest: null });
+    assert.match(text(prompt), /HP: 31\.5\/50/);
+    assert.doesNotMatch(text(prompt), /"maxHealth"/);
+  });
+
+  it('rounds the pending boss damage', () => {
+    const prompt = bossQuestPrompt({ stats: STATS, quest: 'Dilatory', bossActive: true, pendingDamage: 7.26, dailies: [] });
+    assert.match(text(prompt), /7\.3 \(dealt at the next cron\)/);
+    assert.match(text(bossQuestPrompt({ stats: STATS, quest: 'None', bossActive: false, dailies: [] })), /\b0 \(dealt/);
+  });
+});
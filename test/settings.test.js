@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, it } from 'node:test';
+import { TOOL_GROUPS, loadConfig } from '../settings.js';
+
+const directory = mkdtempSync(join(tmpdir(), 'habitica-settings-'));
+after(() => rmSync(directory, { recursive: true, force: true }));
+
+function configFile(name, contents) {
+  const path = join(directory, name);
+  writeFileSync(path, contents);
+  return path;
+}
+
+// An empty config file keeps ~/.habitica-mcp out of the tests
+const EMPTY_CONFIG = configFile('empty.yaml', '');
+const BASE_ENV = { HABITICA_CONFIG: EMPTY_CONFIG };
+
+describe('loadConfig', () => {
+  it('starts from the defaults', () => {
+    const config = loadConfig([], BASE_ENV);
+    assert.equal(config.apiBaseUrl, 'https://habitica.com/api/v3');
+    assert.equal(config.transport, 'stdio');
+    assert.equal(config.safeMode, false);
+    assert.deepEqual(config.toolGroups, Object.keys(TOOL_GROUPS));
+  });
+
+  it('lets the environment override the config file and flags override both', () => {
+    const file = configFile('config.yaml', 'timeout: 1000\nformat: json\nport: 4000\ntoolGroups: [tasks, tags]\n');
+    const env = { HABITICA_CONFIG: file, HABITICA_TIMEOUT: '2000', HABITICA_FORMAT: 'raw' };
+
+    const config = loadConfig(['--format', 'summary'], env);
+    assert.equal(config.port, 4000);
+    assert.equal(config.timeout, 2000);
+    assert.equal(config.format, 'summary');
+    assert.deepEqual(config.toolGroups, ['tasks', 'tags']);
+    assert.equal(config.configFile, file);
+  });
+
+  it('reads JSON config files and --config', () => {
+    const file = configFile('config.json', JSON.stringify({ safeMode: true, apiBaseUrl: 'http://habitica.local/api/v3/' }));
+    const config = loadConfig(['--config', file], BASE_ENV);
+    assert.equal(config.safeMode, true);
+    assert.equal(config.apiBaseUrl, 'http://habitica.local/api/v3');
+  });
+
+  it('parses strings from the environment', () => {
+    const config = loadConfig([], { ...BASE_ENV, HABITICA_SAFE_MODE: 'yes', HABITICA_TOOL_GROUPS: 'tasks, undo', HABITICA_PROXY: 'off' });
+    assert.equal(config.safeMode, true);
+    assert.deepEqual(config.toolGroups, ['tasks', 'undo']);
+    assert.equal(config.proxy, false);
+  });
+
+  it('accepts switches with and without inline values', () => {
+    assert.equal(loadConfig(['--http'], BASE_ENV).transport, 'http');
+    assert.equal(loadConfig(['--http=false'], BASE_ENV).transport, 'stdio');
+    assert.equal(loadConfig(['--safe-mode=true'], BASE_ENV).safeMode, true);
+    assert.equal(loadConfig(['--no-safe-mode'], { ...BASE_ENV, HABITICA_SAFE_MODE: 'true' }).safeMode, false);
+    assert.equal(loadConfig(['--port=3100'], BASE_ENV).port, 3100);
+    assert.throws(() => loadConfig(['--http=maybe'], BASE_ENV), /--http takes no value/);
+  });
+
+  it('names the source of a bad value', () => {
+    assert.throws(() => loadConfig(['--port', 'abc'], BASE_ENV), /command-line flags: --port/);
+    assert.throws(() => loadConfig([], { ...BASE_ENV, HABITICA_FORMAT: 'xml' }), /environment variables: HABITICA_FORMAT/);
+    const file = configFile('bad.yaml', 'colour: blue\n');
+    assert.throws(() => loadConfig([], { HABITICA_CONFIG: file }), /unknown setting colour/);
+    assert.throws(() => loadConfig(['--bogus'], BASE_ENV), /Unknown option --bogus/);
+  });
+
+  it('needs a token to serve HTTP off loopback', () => {
+    assert.throws(() => loadConfig(['--http', '--host', '0.0.0.0'], BASE_ENV), /needs an access token/);
+    const config = loadConfig(['--http', '--host', '0.0.0.0'], { ...BASE_ENV, MCP_HTTP_TOKEN: 'a-long-enough-token' });
+    assert.equal(config.httpToken, 'a-long-enough-token');
+    assert.throws(() => loadConfig(['--http-token', 'short'], BASE_ENV), /at least 16 characters/);
+  });
+});